@@ -0,0 +1,77 @@
+'use strict';
+
+const ChargeAmpsError = require('./lib/ChargeAmpsError');
+
+/********************************************************************************************
+ * Describes a failed connection test for the settings page: the reason, and what ChargeAmps
+ * itself answered.
+ *
+ * @param {Error} error - The error of the test.
+ * @returns {{ ok: false, error: string, code: string, status: number|null, apiMessage: string|null }}
+ *******************************************************************************************/
+function describeFailure(error) {
+  const chargeAmpsError = ChargeAmpsError.from(error);
+  const { response } = chargeAmpsError.cause || {};
+  return {
+    ok: false,
+    error: chargeAmpsError.message,
+    code: chargeAmpsError.code,
+    status: chargeAmpsError.status,
+    apiMessage: response && response.data && response.data.message ? String(response.data.message) : null,
+  };
+}
+
+/********************************************************************************************
+ * The Web API of the app, used by the settings page to log in to the ChargeAmps accounts and
+ * to manage them.
+ *******************************************************************************************/
+module.exports = {
+
+  /**
+   * Lists the accounts, the default account first, with the status of their session.
+   */
+  async getAccounts({ homey }) {
+    return homey.app.getAccounts().map((account) => ({ ...account, status: homey.app.getAccountStatus(account.id) }));
+  },
+
+  /**
+   * Logs in to an account and saves it, see ChargeAmpsApp.loginAccount. The optional `accountId`
+   * logs in to that account again, e.g. 'default' for the fields at the top of the settings page.
+   */
+  async addAccount({ homey, body }) {
+    const id = await homey.app.loginAccount({ email: body.email, password: body.password, apiKey: body.apiKey }, body.accountId);
+    return { id };
+  },
+
+  /**
+   * Checks that the session of an account still works. Reports the chargepoints of the
+   * account, or why the test failed.
+   */
+  async testAccount({ homey, params }) {
+    try {
+      return { ok: true, ...await homey.app.testAccount(params.id) };
+    } catch (error) {
+      return describeFailure(error);
+    }
+  },
+
+  /**
+   * Logs in with the credentials entered on the settings page without saving them. Reports
+   * the chargepoints of the account, or why the login failed.
+   */
+  async testConnection({ homey, body }) {
+    try {
+      return { ok: true, ...await homey.app.testConnection({ email: body.email, password: body.password, apiKey: body.apiKey }) };
+    } catch (error) {
+      return describeFailure(error);
+    }
+  },
+
+  /**
+   * Removes an account that no device uses.
+   */
+  async removeAccount({ homey, params }) {
+    await homey.app.removeAccount(params.id);
+    return { ok: true };
+  },
+};
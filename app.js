@@ -1,10 +1,626 @@
 'use strict';
+const crypto = require('crypto');
 const Homey = require('homey');
+const AccountPoller = require('./lib/AccountPoller');
+const ChargeAmpsApi = require('./lib/ChargeAmpsApi');
+const ChargeAmpsError = require('./lib/ChargeAmpsError');
+const { writeLog } = require('./lib/log');
 
+// The account of the email and API key fields of the settings page
+const DEFAULT_ACCOUNT_ID = 'default';
+
+// The app settings with the credentials of the default account
+const CREDENTIAL_SETTINGS = ['email', 'password', 'APIkey'];
+
+// Credential settings changed within this many ms of each other are handled together
+const CREDENTIALS_CHANGE_DELAY = 1000;
+
+/********************************************************************************************
+ * @typedef {Object} ConnectionReport
+ * @property {number} chargepoints - The number of chargepoints the account owns.
+ * @property {Array<string>} types - The models of those chargepoints, e.g. ['HALO', 'AURA'].
+ *******************************************************************************************/
+
+/********************************************************************************************
+ * ChargeAmpsApp owns the ChargeAmps accounts. Every account has one API client, shared by
+ * every driver and device of that account.
+ *
+ * The default account uses the `email` and `APIkey` app settings. Other accounts are kept in
+ * the `accounts` app setting as `{ id, email, apiKey }`. A device remembers the ID of its
+ * account in its store (`accountId`), devices without one use the default account.
+ *
+ * The password is only used to log in. After that the token and refresh token of every
+ * account are kept in the store of each device of the account (`session`), and the token is
+ * renewed with them. The store is private to the app: unlike the app settings, the settings
+ * page can not read it. An account without devices keeps its session while the app runs. The
+ * password of older versions of the app is removed after the first login.
+ *
+ * When the credential settings of the default account are changed, the app logs in again and
+ * reconnects the devices of the account, so no restart is needed. When that login fails, the
+ * session in use is kept and the credential settings are set back to the ones it belongs to.
+ *
+ * @class ChargeAmpsApp
+ * @extends Homey.App
+ *
+ * @property {Map<string, ChargeAmpsApi>} apis - The API client of every account, by account ID.
+ * @property {ChargeAmpsApi} api - The API client of the default account.
+ * @property {Map<string, AccountPoller>} pollers - The poller that shares the reads of every account, by account ID.
+ * @property {Map<string, Object>} sessions - The session of every account, by account ID.
+ * @property {Set<ChargeAmpsDevice>} sessionDevices - The devices that keep the session of their account in their store.
+ * @property {string} debugLevel - The debug level for logging.
+ * @property {Object|null} renewTimer - The timer of the next renewTokenLoop run.
+ * @property {string} credentialsInUse - The credential settings the default account was last logged in with.
+ * @property {Object|null} credentialsTimer - The timer that handles changed credential settings.
+ *******************************************************************************************/
 class ChargeAmpsApp extends Homey.App {
   async onInit() {
+    this.debugLevel = this.homey.settings.get('debugLevel') || 'normal';
+    this.apis = new Map();
+    this.pollers = new Map();
+    this.sessions = new Map();
+    this.sessionDevices = new Set();
+    this.moveSessionsSetting();
+
+    // Log in again when the credentials are changed in the app settings
+    this.credentialsInUse = this.getCredentialSettings();
+    this.credentialsTimer = null;
+    this.onSettingSet = this.onSettingSet.bind(this);
+    this.homey.settings.on('set', this.onSettingSet);
+
+    // Initialize Renew Token Loop (first run after 30min)
+    this.renewTimer = this.homey.setTimeout(() => this.renewTokenLoop(), 1000 * 60 * 30); // 30 minutes delay for the first execution
+
     this.log("ChargeAmps App has been initialized");
+  }
+
+  /********************************************************************************************
+   * The API client of the default account.
+   *
+   * @returns {ChargeAmpsApi}
+   *******************************************************************************************/
+  get api() {
+    return this.getApi(DEFAULT_ACCOUNT_ID);
+  }
+
+  /********************************************************************************************
+   * Stops the token renewal loop when the app is stopped or updated.
+   *
+   * @async
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async onUninit() {
+    this.homey.clearTimeout(this.renewTimer);
+    this.homey.clearTimeout(this.credentialsTimer);
+    this.homey.settings.off('set', this.onSettingSet);
+    this.log("ChargeAmps App has been uninitialized");
+  }
+
+  /********************************************************************************************
+   * Logs messages based on the specified debug level. Tokens, API keys, passwords, emails and
+   * RFID tag IDs are masked at every level, see lib/log.js.
+   *
+   * @param {string} level - The level of the message to log. Can be 'off', 'normal', 'trace', 'full', or 'error'.
+   * @param {...any} messages - The messages to log.
+   *******************************************************************************************/
+  logMessage(level, ...messages) {
+    writeLog(this.log.bind(this), this.debugLevel, level, messages);
+  }
+
+  // *************************************************************************
+  // ACCOUNTS
+  // *************************************************************************
+
+  /********************************************************************************************
+   * Returns the accounts other than the default one, as stored in the `accounts` setting.
+   *
+   * @returns {Array<{ id: string, email: string, apiKey: string }>}
+   *******************************************************************************************/
+  getStoredAccounts() {
+    return this.homey.settings.get('accounts') || [];
+  }
+
+  /********************************************************************************************
+   * Returns the credentials of an account. The password is only there for accounts saved by
+   * an older version of the app that have not logged in since.
+   *
+   * @param {string} accountId - The account ID.
+   * @returns {{ email: string, password: string|null, apiKey: string }|null} Null when the account does not exist.
+   *******************************************************************************************/
+  getCredentials(accountId) {
+    if (accountId === DEFAULT_ACCOUNT_ID) {
+      return {
+        email: this.homey.settings.get('email'),
+        password: this.homey.settings.get('password'),
+        apiKey: this.homey.settings.get('APIkey'),
+      };
+    }
+
+    const account = this.getStoredAccounts().find((candidate) => candidate.id === accountId);
+    return account ? { email: account.email, password: account.password, apiKey: account.apiKey } : null;
+  }
+
+  /********************************************************************************************
+   * Lists the accounts that have credentials, the default account first.
+   *
+   * @returns {Array<{ id: string, email: string }>}
+   *******************************************************************************************/
+  getAccounts() {
+    const accounts = [];
+    const { email } = this.getCredentials(DEFAULT_ACCOUNT_ID);
+    if (email) {
+      accounts.push({ id: DEFAULT_ACCOUNT_ID, email });
+    }
+    return accounts.concat(this.getStoredAccounts().map(({ id, email: accountEmail }) => ({ id, email: accountEmail })));
+  }
+
+  /********************************************************************************************
+   * Returns the API client of an account, created on first use. Devices that were added
+   * before accounts existed have no account ID and use the default account.
+   *
+   * @param {string|null} [accountId] - The account ID.
+   * @returns {ChargeAmpsApi}
+   * @throws {ChargeAmpsError} When the account has been removed.
+   *******************************************************************************************/
+  getApi(accountId) {
+    const id = accountId || DEFAULT_ACCOUNT_ID;
+    if (!this.apis.has(id)) {
+      if (!this.getCredentials(id)) {
+        throw new ChargeAmpsError('The ChargeAmps account of this charger has been removed. Please repair the device.', { code: ChargeAmpsError.CODES.MISSING_CREDENTIALS });
+      }
+
+      this.apis.set(id, this.createApi(id, () => this.getCredentials(id) || {}));
+    }
+    return this.apis.get(id);
+  }
+
+  /********************************************************************************************
+   * Returns the poller of an account, created on first use. The devices of the account read
+   * their status and chargepoints through it, so the reads are shared between them.
+   *
+   * @param {string|null} [accountId] - The account ID.
+   * @returns {AccountPoller}
+   *******************************************************************************************/
+  getPoller(accountId) {
+    const id = accountId || DEFAULT_ACCOUNT_ID;
+    if (!this.pollers.has(id)) {
+      this.pollers.set(id, new AccountPoller({
+        getApi: () => this.getApi(id),
+        logMessage: this.logMessage.bind(this),
+      }));
+    }
+    return this.pollers.get(id);
+  }
+
+  /********************************************************************************************
+   * Creates the API client of an account, continuing with its saved session.
+   *
+   * @param {string|null} accountId - The account ID, or null for a client whose session is not saved.
+   * @param {Function} getCredentials - Returns the `{ email, password, apiKey }` to log in with.
+   * @returns {ChargeAmpsApi}
+   *******************************************************************************************/
+  createApi(accountId, getCredentials) {
+    return new ChargeAmpsApi({
+      getCredentials,
+      logMessage: this.logMessage.bind(this),
+      // CHARGEAMPS_BASE_URL in env.json points the app at another API, e.g. the mock server in test/
+      baseUrl: Homey.env.CHARGEAMPS_BASE_URL || undefined,
+      session: accountId ? this.getSession(accountId) : null,
+      onSession: (session) => accountId && this.saveSession(accountId, session),
+    });
+  }
+
+  /********************************************************************************************
+   * Returns the session of an account.
+   *
+   * @param {string} accountId - The account ID.
+   * @returns {{ token: string, refreshToken: string }|null}
+   *******************************************************************************************/
+  getSession(accountId) {
+    return this.sessions.get(accountId) || null;
+  }
+
+  /********************************************************************************************
+   * Saves the session of an account in the store of its devices, or removes it when it has
+   * ended. Once there is a session the password is no longer needed, so a password saved by
+   * an older version is removed.
+   *
+   * @param {string} accountId - The account ID.
+   * @param {{ token: string, refreshToken: string }|null} session - The new session.
+   *******************************************************************************************/
+  saveSession(accountId, session) {
+    if (session) {
+      this.sessions.set(accountId, session);
+    } else {
+      this.sessions.delete(accountId);
+    }
+    for (const device of this.sessionDevices) {
+      if (this.getDeviceAccountId(device) === accountId) {
+        this.storeSession(device);
+      }
+    }
+
+    if (!session) {
+      return;
+    }
+    if (accountId === DEFAULT_ACCOUNT_ID && this.homey.settings.get('password')) {
+      // The credentials in use no longer have a password either, so it is never set back
+      const inUse = this.credentialsInUse === this.getCredentialSettings();
+      this.homey.settings.unset('password');
+      if (inUse) {
+        this.credentialsInUse = this.getCredentialSettings();
+      }
+      this.logMessage('normal', 'The ChargeAmps password is no longer stored, the session is used instead');
+    }
+    if (this.getStoredAccounts().some((account) => account.id === accountId && account.password)) {
+      this.homey.settings.set('accounts', this.getStoredAccounts().map(({ password, ...account }) => account));
+    }
+  }
+
+  /********************************************************************************************
+   * Moves the sessions that an earlier version kept in the `sessions` app setting, which the
+   * settings page can read, to memory. The devices store them as soon as they are initialized.
+   *******************************************************************************************/
+  moveSessionsSetting() {
+    const sessions = this.homey.settings.get('sessions');
+    if (!sessions) {
+      return;
+    }
+
+    Object.entries(sessions).forEach(([accountId, session]) => this.sessions.set(accountId, session));
+    this.homey.settings.unset('sessions');
+    this.logMessage('normal', 'The ChargeAmps sessions are no longer kept in the app settings');
+  }
+
+  /********************************************************************************************
+   * Starts keeping the session of the account of a device in its store. When the app has no
+   * session of that account yet, e.g. after a restart, the device continues with the one in
+   * its store; otherwise the session of the app is stored.
+   *
+   * @param {ChargeAmpsDevice} device - The device, when it is initialized.
+   *******************************************************************************************/
+  attachDevice(device) {
+    this.sessionDevices.add(device);
+
+    const accountId = this.getDeviceAccountId(device);
+    const stored = device.getStoreValue('session');
+    if (!this.sessions.has(accountId) && stored && stored.accountId === accountId) {
+      const { token, refreshToken } = stored;
+      const api = this.apis.get(accountId);
+      if (api && !api.isLoggedIn()) {
+        api.setSession(token, refreshToken); // Saves it too
+      } else {
+        this.saveSession(accountId, { token, refreshToken });
+      }
+      return;
+    }
+    this.storeSession(device);
+  }
+
+  /********************************************************************************************
+   * Stops keeping the session in the store of a device, when it is uninitialized or deleted.
+   *
+   * @param {ChargeAmpsDevice} device - The device.
+   *******************************************************************************************/
+  detachDevice(device) {
+    this.sessionDevices.delete(device);
+  }
+
+  /********************************************************************************************
+   * Writes the session of the account of a device to its store, or removes it from the store
+   * when the account has no session. The store remembers the account of the session, so a
+   * device that moved to another account does not continue with the session of the old one.
+   *
+   * @param {ChargeAmpsDevice} device - The device.
+   *******************************************************************************************/
+  storeSession(device) {
+    const accountId = this.getDeviceAccountId(device);
+    const session = this.getSession(accountId);
+    const stored = device.getStoreValue('session');
+
+    if (session) {
+      if (!stored || stored.accountId !== accountId || stored.token !== session.token || stored.refreshToken !== session.refreshToken) {
+        device.setStoreValue('session', { accountId, ...session }).catch(this.error);
+      }
+    } else if (stored) {
+      device.unsetStoreValue('session').catch(this.error);
+    }
+  }
+
+  /********************************************************************************************
+   * Logs in with credentials entered while pairing or repairing, or on the settings page, and
+   * saves the account and its session when ChargeAmps accepts them; the password itself is
+   * not saved. Credentials for the email of a known account update that account; when the
+   * default account has no credentials yet they become the default account; otherwise a new
+   * account is added.
+   *
+   * @async
+   * @param {Object} credentials
+   * @param {string} credentials.email - The email address of the ChargeAmps account.
+   * @param {string} credentials.password - The password of the ChargeAmps account.
+   * @param {string} credentials.apiKey - The API key issued by ChargeAmps.
+   * @param {string} [accountId] - The account to log in to again, e.g. the default account from the settings page.
+   * @returns {Promise<string>} The ID of the account.
+   * @throws {ChargeAmpsError} If credentials are missing or ChargeAmps rejects them.
+   *******************************************************************************************/
+  async loginAccount({ email, password, apiKey }, accountId = null) {
+    if (!accountId) {
+      const accounts = this.getAccounts();
+      const known = accounts.find((account) => account.email.toLowerCase() === String(email).toLowerCase());
+      accountId = known ? known.id : DEFAULT_ACCOUNT_ID;
+      if (!known && accounts.some((account) => account.id === DEFAULT_ACCOUNT_ID)) {
+        accountId = crypto.randomUUID();
+      }
+    }
+
+    // Log in with a separate client, so a rejected login leaves the working session alone. The
+    // password is only kept by this client, for as long as the app runs.
+    const api = this.createApi(accountId, () => ({ email, password, apiKey }));
+    await api.login(email, password, apiKey);
+
+    if (accountId === DEFAULT_ACCOUNT_ID) {
+      this.homey.settings.set('email', email);
+      this.homey.settings.set('APIkey', apiKey);
+      this.credentialsInUse = this.getCredentialSettings();
+    } else {
+      const accounts = this.getStoredAccounts().filter((account) => account.id !== accountId);
+      this.homey.settings.set('accounts', accounts.concat({ id: accountId, email, apiKey }));
+    }
+    this.apis.set(accountId, api);
+    this.pollers.delete(accountId);
+    this.logMessage('normal', `The ChargeAmps account ${email} has been saved`);
+
+    await this.reconnectDevices(accountId);
+    return accountId;
+  }
+
+  // *************************************************************************
+  // CHANGED CREDENTIALS
+  // *************************************************************************
+
+  /********************************************************************************************
+   * Returns the credential settings of the default account, to notice when they change.
+   *
+   * @returns {string}
+   *******************************************************************************************/
+  getCredentialSettings() {
+    return JSON.stringify(CREDENTIAL_SETTINGS.map((key) => this.homey.settings.get(key)));
+  }
+
+  /********************************************************************************************
+   * Handles the `set` event of the app settings. A change of the email, password or API key
+   * is handled after CREDENTIALS_CHANGE_DELAY, so settings saved together cause one login.
+   *
+   * @param {string} key - The key of the setting.
+   *******************************************************************************************/
+  onSettingSet(key) {
+    if (!CREDENTIAL_SETTINGS.includes(key)) {
+      return;
+    }
+
+    this.homey.clearTimeout(this.credentialsTimer);
+    this.credentialsTimer = this.homey.setTimeout(() => {
+      this.onCredentialsChanged().catch((error) => this.logMessage('error', 'Error handling the changed credentials:', error));
+    }, CREDENTIALS_CHANGE_DELAY);
+  }
+
+  /********************************************************************************************
+   * Logs in to the default account again when its credential settings differ from the ones
+   * in use. Credentials saved by loginAccount are in use already.
+   *
+   * The changed credentials are only taken into use when the login with them succeeds. When it
+   * fails, the settings are set back to the credentials of the session in use, so a later
+   * login of that session does not mix the email of one account with the API key of another.
+   *
+   * @async
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async onCredentialsChanged() {
+    const credentials = this.getCredentialSettings();
+    if (credentials === this.credentialsInUse) {
+      return;
+    }
+
+    this.logMessage('normal', 'The ChargeAmps credentials have been changed in the app settings, logging in again');
+    if (await this.reconnectAccount(DEFAULT_ACCOUNT_ID)) {
+      // Read again, as the login removes a password of an older version
+      this.credentialsInUse = this.getCredentialSettings();
+      return;
+    }
+
+    this.logMessage('normal', 'Setting the credential settings back to the ones of the session in use');
+    this.restoreCredentialSettings();
+  }
+
+  /********************************************************************************************
+   * Sets the credential settings of the default account back to the ones in use. The `set`
+   * events this causes find the credentials unchanged, so they do not log in again.
+   *******************************************************************************************/
+  restoreCredentialSettings() {
+    const inUse = JSON.parse(this.credentialsInUse);
+    CREDENTIAL_SETTINGS.forEach((key, index) => {
+      const value = this.homey.settings.get(key);
+      if ((value === undefined ? null : value) !== inUse[index]) {
+        this.homey.settings.set(key, inUse[index]);
+      }
+    });
+  }
+
+  /********************************************************************************************
+   * Logs in once with the current credentials of an account, with a separate client like
+   * loginAccount, so a login that fails leaves the working session alone. Only when it
+   * succeeds the new client and its session replace the old ones and the devices of the
+   * account reconnect; otherwise they continue with the session in use.
+   *
+   * @async
+   * @param {string} accountId - The account ID.
+   * @returns {Promise<boolean>} Whether the login succeeded and the devices reconnected.
+   *******************************************************************************************/
+  async reconnectAccount(accountId) {
+    const getCredentials = () => this.getCredentials(accountId) || {};
+    const api = this.createApi(accountId, getCredentials);
+
+    try {
+      const { email, password, apiKey } = getCredentials();
+      await api.login(email, password, apiKey);
+    } catch (error) {
+      this.logMessage('error', 'Login with the changed credentials failed, continuing with the session in use:', error);
+      return false;
+    }
+
+    this.apis.set(accountId, api);
+    this.pollers.delete(accountId);
+    await this.reconnectDevices(accountId);
+    return true;
+  }
+
+  /********************************************************************************************
+   * Reconnects every device of an account after a new login: the requests that are still
+   * running are aborted and the polling starts again with the new session.
+   *
+   * @async
+   * @param {string} accountId - The account ID.
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async reconnectDevices(accountId) {
+    for (const device of this.getAccountDevices(accountId)) {
+      try {
+        await device.reconnect();
+      } catch (error) {
+        this.logMessage('error', `Error reconnecting ${device.getName()}:`, error);
+      }
+    }
+  }
+
+  /********************************************************************************************
+   * Checks that an account still works, by listing its chargepoints with its session.
+   *
+   * @async
+   * @param {string} accountId - The account ID.
+   * @returns {Promise<ConnectionReport>}
+   * @throws {ChargeAmpsError} If the account does not exist or its session has expired.
+   *******************************************************************************************/
+  async testAccount(accountId) {
+    const { email } = this.getCredentials(accountId) || {};
+    if (!email) {
+      throw new ChargeAmpsError('This ChargeAmps account does not exist.', { code: ChargeAmpsError.CODES.MISSING_CREDENTIALS });
+    }
+    return this.reportConnection(await this.getApi(accountId).getOwnedChargepoints());
+  }
+
+  /********************************************************************************************
+   * Logs in with credentials that have not been saved, e.g. those entered on the settings
+   * page, and lists their chargepoints. Nothing is saved and the sessions in use are left
+   * alone.
+   *
+   * @async
+   * @param {Object} credentials - The `{ email, password, apiKey }` to log in with.
+   * @returns {Promise<ConnectionReport>}
+   * @throws {ChargeAmpsError} When the login or the request fails.
+   *******************************************************************************************/
+  async testConnection({ email, password, apiKey }) {
+    const api = this.createApi(null, () => ({ email, password, apiKey }));
+    await api.login(email, password, apiKey);
+    return this.reportConnection(await api.getOwnedChargepoints());
+  }
+
+  /********************************************************************************************
+   * Summarizes the chargepoints of an account for the settings page.
+   *
+   * @param {Array<ChargePoint>} chargepoints - The chargepoints of the account.
+   * @returns {ConnectionReport}
+   *******************************************************************************************/
+  reportConnection(chargepoints) {
+    return {
+      chargepoints: chargepoints.length,
+      types: [...new Set(chargepoints.map((chargepoint) => chargepoint.type))],
+    };
+  }
+
+  /********************************************************************************************
+   * Describes the session of an account for the settings page: whether it is logged in,
+   * when the token expires and when a device last polled ChargeAmps successfully.
+   *
+   * @param {string} accountId - The account ID.
+   * @returns {{ loggedIn: boolean, tokenExpiresAt: number|null, lastPollAt: number|null }}
+   *******************************************************************************************/
+  getAccountStatus(accountId) {
+    return this.getApi(accountId).describeSession();
+  }
+
+  /********************************************************************************************
+   * Removes an account other than the default one. An account that devices still use can
+   * not be removed; repair or delete those devices first.
+   *
+   * @async
+   * @param {string} accountId - The account ID.
+   * @returns {Promise<void>}
+   * @throws {Error} When it is the default account or devices use it.
+   *******************************************************************************************/
+  async removeAccount(accountId) {
+    if (accountId === DEFAULT_ACCOUNT_ID) {
+      throw new Error('The main account is changed in the fields above, it can not be removed.');
+    }
+
+    const devices = this.getAccountDevices(accountId);
+    if (devices.length > 0) {
+      throw new Error(`This account is used by ${devices.map((device) => device.getName()).join(', ')}. Repair or delete those devices first.`);
+    }
+
+    this.homey.settings.set('accounts', this.getStoredAccounts().filter((account) => account.id !== accountId));
+    this.saveSession(accountId, null);
+    this.apis.delete(accountId);
+    this.pollers.delete(accountId);
+    this.logMessage('normal', `The ChargeAmps account ${accountId} has been removed`);
+  }
+
+  /********************************************************************************************
+   * Returns the devices of all drivers.
+   *
+   * @returns {Array<Homey.Device>}
+   *******************************************************************************************/
+  getDevices() {
+    return Object.values(this.homey.drivers.getDrivers()).flatMap((driver) => driver.getDevices());
+  }
+
+  /********************************************************************************************
+   * Returns the devices of an account.
+   *
+   * @param {string} accountId - The account ID.
+   * @returns {Array<ChargeAmpsDevice>}
+   *******************************************************************************************/
+  getAccountDevices(accountId) {
+    return this.getDevices().filter((device) => this.getDeviceAccountId(device) === accountId);
+  }
+
+  /********************************************************************************************
+   * Returns the ID of the account of a device; devices without one use the default account.
+   *
+   * @param {ChargeAmpsDevice} device - The device.
+   * @returns {string}
+   *******************************************************************************************/
+  getDeviceAccountId(device) {
+    return device.getStoreValue('accountId') || DEFAULT_ACCOUNT_ID;
+  }
 
+  /********************************************************************************************
+   * Renews the ChargeAmps token of every account every 59 minutes, as long as it has a session.
+   * When the refresh token is rejected, a full login with the stored credentials is done instead.
+   *
+   * @async
+   * @function renewTokenLoop
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async renewTokenLoop() {
+    for (const [accountId, api] of this.apis) {
+      try {
+        if (api.isLoggedIn()) {
+          await api.reauthenticate();
+        }
+      } catch (error) {
+        this.logMessage('error', `Error during token renewal of account ${accountId}:`, error);
+      }
+    }
+    this.renewTimer = this.homey.setTimeout(() => this.renewTokenLoop(), 1000 * 60 * 59);
   }
 }
 
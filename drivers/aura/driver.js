@@ -1,7 +1,8 @@
 'use strict';
 
 const { Driver } = require('homey');
-const axios = require('axios');
+const ChargeAmpsError = require('../../lib/ChargeAmpsError');
+const { registerLoginHandlers, registerRebindHandlers } = require('../../lib/pairing');
 const AURADevice = require('./device'); // Se till att rätt klass importeras om den inte redan är det
 
 class AURADriver extends Driver {
@@ -15,39 +16,52 @@ class AURADriver extends Driver {
     }
   }
 
+  /**
+   * Start pairing: choose a ChargeAmps account or log in to another one, then list the AURA devices of that account.
+   * The account and login steps are shared by all drivers, see lib/pairing.js.
+   */
+  async onPair(session) {
+    const account = registerLoginHandlers(this, session);
+    session.setHandler('list_devices', async () => this.onPairListDevices(account.id));
+  }
+
+  /**
+   * Repair a device: log in to ChargeAmps again, then choose the AURA the device controls.
+   * The device keeps its capabilities, Insights and flows, see lib/pairing.js.
+   */
+  async onRepair(session, device) {
+    const account = registerLoginHandlers(this, session);
+    registerRebindHandlers(this, session, device, account);
+  }
+
   /**
    * List available devices for pairing
-   * This method fetches all owned Charge Amps devices using the API and returns only AURA devices for pairing in Homey.
+   * This method fetches all owned Charge Amps devices of the account using the API and returns only AURA devices for pairing in Homey.
+   * Each device remembers its account in the store, devices without one use the default account.
    */
-  async onPairListDevices() {
+  async onPairListDevices(accountId = null) {
     try {
       this.log('Starting onPairListDevices to list available devices for pairing...');
 
-      // Get the token for authenticating API requests
-      const chargeAmpsToken = await this.getChargeAmpsToken();
-
       // Log time before API call
       const startTime = Date.now();
 
       // Make an API call to get the list of owned devices
-      const response = await this.api().get('/chargepoints/owned', {
-        headers: {
-          Authorization: `Bearer ${chargeAmpsToken}`,
-        },
-      });
+      const api = this.homey.app.getApi(accountId);
+      const chargepoints = await api.getOwnedChargepoints();
 
       // Log time after API call
       const endTime = Date.now();
       this.log(`API call to get owned chargepoints took ${endTime - startTime} ms`);
 
       // Check if we received any devices
-      if (!response.data || response.data.length === 0) {
-        this.log('No devices found in the response data.');
+      if (!chargepoints || chargepoints.length === 0) {
+        this.log('No devices found for the account.');
         return [];
       }
 
       // Filter devices to only include those of type "AURA"
-      const auraDevices = response.data.filter(device => device.type === 'AURA');
+      const auraDevices = chargepoints.filter(device => device.type === 'AURA');
 
       if (auraDevices.length === 0) {
         this.log('No AURA devices found.');
@@ -55,7 +69,7 @@ class AURADriver extends Driver {
       }
 
       // Map the filtered AURA devices to Homey compatible format for pairing
-      const devices = auraDevices.map((device, index) => {
+      const devices = await Promise.all(auraDevices.map(async (device, index) => {
         this.log(`Processing AURA device ${index + 1}: ID = ${device.id}, Name = ${device.name}`);
 
         return {
@@ -63,45 +77,35 @@ class AURADriver extends Driver {
           data: {
             id: device.id,  // Store the device ID
           },
+          store: {
+            accountId, // The ChargeAmps account of the device
+            detectedPortAccess: await this.detectPortAccess(api, device.id), // The ports this account can read
+          },
         };
-      });
+      }));
 
       this.log(`AURA devices ready for pairing: ${JSON.stringify(devices)}`);
       return devices;
     } catch (error) {
       this.error('Error listing devices for pairing:', error.message, error.stack);
-      return [];
+      // Show the reason in the pairing view instead of an empty list
+      throw ChargeAmpsError.from(error);
     }
   }
 
   /**
-   * Authenticate and retrieve the Charge Amps API token
-   * This method logs in to the Charge Amps API using user credentials and retrieves an authentication token.
+   * Detect which ports of an AURA the account can read, from the connectors listed in its status.
+   * Returns 'both', 'port1', 'port2', or null when it cannot be detected; the device then detects it itself.
    */
-  async getChargeAmpsToken() {
-    const email = this.homey.settings.get('email');
-    const password = this.homey.settings.get('password');
-    const apiKey = this.homey.settings.get('APIkey');
-
-    if (!email || !password || !apiKey) {
-      this.error('One or more credentials are missing in the settings.');
-      throw new Error('One or more credentials are missing in the settings.');
-    }
-
+  async detectPortAccess(api, chargePointId) {
     try {
-      const response = await this.api().post('/auth/login', {
-        email,
-        password,
-      }, {
-        headers: {
-          apiKey,
-        },
-      });
-
-      return response.data.token;  // Return the token for future API calls
+      const chargePointStatus = await api.getStatus(chargePointId);
+      const portAccess = AURADevice.portAccessFor(chargePointStatus.connectorStatuses.map(connectorStatus => connectorStatus.connectorId));
+      this.log(`Port access detected for ${chargePointId}: ${portAccess}`);
+      return portAccess;
     } catch (error) {
-      this.error('Error during login to Charge Amps API:', error.message, error.stack);
-      throw error;
+      this.error(`Error detecting the port access of ${chargePointId}:`, error.message);
+      return null;
     }
   }
 
@@ -136,21 +140,6 @@ class AURADriver extends Driver {
       return null;
     }
   }
-
-  /**
-   * Create an axios instance for API calls to Charge Amps
-   */
-  api() {
-    this.log('Creating axios instance for Charge Amps API...');
-    return axios.create({
-      baseURL: 'https://eapi.charge.space/api/v5',
-      timeout: 25000,
-      headers: {
-        'Content-Type': 'application/json',
-        accept: '*/*',
-      },
-    });
-  }
 }
 
 module.exports = AURADriver;
\ No newline at end of file
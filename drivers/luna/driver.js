@@ -1,7 +1,8 @@
 'use strict';
 
 const { Driver } = require('homey');
-const axios = require('axios');
+const ChargeAmpsError = require('../../lib/ChargeAmpsError');
+const { registerLoginHandlers, registerRebindHandlers } = require('../../lib/pairing');
 const LUNADevice = require('./device'); // Se till att rätt klass importeras om den inte redan är det
 
 class LUNADriver extends Driver {
@@ -15,39 +16,52 @@ class LUNADriver extends Driver {
     }
   }
 
+  /**
+   * Start pairing: choose a ChargeAmps account or log in to another one, then list the LUNA devices of that account.
+   * The account and login steps are shared by all drivers, see lib/pairing.js.
+   */
+  async onPair(session) {
+    const account = registerLoginHandlers(this, session);
+    session.setHandler('list_devices', async () => this.onPairListDevices(account.id));
+  }
+
+  /**
+   * Repair a device: log in to ChargeAmps again, then choose the LUNA the device controls.
+   * The device keeps its capabilities, Insights and flows, see lib/pairing.js.
+   */
+  async onRepair(session, device) {
+    const account = registerLoginHandlers(this, session);
+    registerRebindHandlers(this, session, device, account);
+  }
+
   /**
    * List available devices for pairing
-   * This method fetches all owned Charge Amps devices using the API and returns only LUNA devices for pairing in Homey.
+   * This method fetches all owned Charge Amps devices of the account using the API and returns only LUNA devices for pairing in Homey.
+   * Each device remembers its account in the store, devices without one use the default account.
    */
-  async onPairListDevices() {
+  async onPairListDevices(accountId = null) {
     try {
       this.log('Starting onPairListDevices to list available devices for pairing...');
 
-      // Get the token for authenticating API requests
-      const chargeAmpsToken = await this.getChargeAmpsToken();
-
       // Log time before API call
       const startTime = Date.now();
 
       // Make an API call to get the list of owned devices
-      const response = await this.api().get('/chargepoints/owned', {
-        headers: {
-          Authorization: `Bearer ${chargeAmpsToken}`,
-        },
-      });
+      const api = this.homey.app.getApi(accountId);
+      const chargepoints = await api.getOwnedChargepoints();
 
       // Log time after API call
       const endTime = Date.now();
       this.log(`API call to get owned chargepoints took ${endTime - startTime} ms`);
 
       // Check if we received any devices
-      if (!response.data || response.data.length === 0) {
-        this.log('No devices found in the response data.');
+      if (!chargepoints || chargepoints.length === 0) {
+        this.log('No devices found for the account.');
         return [];
       }
 
       // Filter devices to only include those of type "LUNA"
-      const lunaDevices = response.data.filter(device => device.type === 'LUNA');
+      const lunaDevices = chargepoints.filter(device => device.type === 'LUNA');
 
       if (lunaDevices.length === 0) {
         this.log('No LUNA devices found.');
@@ -63,6 +77,9 @@ class LUNADriver extends Driver {
           data: {
             id: device.id,  // Store the device ID
           },
+          store: {
+            accountId, // The ChargeAmps account of the device
+          },
         };
       });
 
@@ -70,38 +87,8 @@ class LUNADriver extends Driver {
       return devices;
     } catch (error) {
       this.error('Error listing devices for pairing:', error.message, error.stack);
-      return [];
-    }
-  }
-
-  /**
-   * Authenticate and retrieve the Charge Amps API token
-   * This method logs in to the Charge Amps API using user credentials and retrieves an authentication token.
-   */
-  async getChargeAmpsToken() {
-    const email = this.homey.settings.get('email');
-    const password = this.homey.settings.get('password');
-    const apiKey = this.homey.settings.get('APIkey');
-
-    if (!email || !password || !apiKey) {
-      this.error('One or more credentials are missing in the settings.');
-      throw new Error('One or more credentials are missing in the settings.');
-    }
-
-    try {
-      const response = await this.api().post('/auth/login', {
-        email,
-        password,
-      }, {
-        headers: {
-          apiKey,
-        },
-      });
-
-      return response.data.token;  // Return the token for future API calls
-    } catch (error) {
-      this.error('Error during login to Charge Amps API:', error.message, error.stack);
-      throw error;
+      // Show the reason in the pairing view instead of an empty list
+      throw ChargeAmpsError.from(error);
     }
   }
 
@@ -136,21 +123,6 @@ class LUNADriver extends Driver {
       return null;
     }
   }
-
-  /**
-   * Create an axios instance for API calls to Charge Amps
-   */
-  api() {
-    this.log('Creating axios instance for Charge Amps API...');
-    return axios.create({
-      baseURL: 'https://eapi.charge.space/api/v5',
-      timeout: 25000,
-      headers: {
-        'Content-Type': 'application/json',
-        accept: '*/*',
-      },
-    });
-  }
 }
 
 module.exports = LUNADriver;
\ No newline at end of file
@@ -0,0 +1,203 @@
+'use strict';
+
+const ChargeAmpsError = require('./ChargeAmpsError');
+
+// The owned chargepoints read by one device are shared with the others for this many ms
+const OWNED_MAX_AGE = 5 * 60 * 1000;
+
+// Polls are scheduled on a grid of this many ms, so the devices of an account poll together
+const POLL_GRID = 5 * 1000;
+
+/**
+ * @typedef {Object} StatusRead
+ * @property {ChargePointStatus} status - The status of the chargepoint.
+ * @property {number} polledAt - When the batch that read it was sent, in ms since the epoch.
+ */
+
+/********************************************************************************************
+ * AccountPoller shares the reads of one account between its devices.
+ *
+ * - `/chargepoints/owned` lists every chargepoint of the account, so it is read once and the
+ *   result is handed to every device that asks within OWNED_MAX_AGE. Concurrent callers
+ *   share the same request.
+ * - The status reads of all devices that poll at the same moment are collected into one
+ *   batch, sent together, and every device gets its own status with the same `polledAt`
+ *   time. A chargepoint is read once per batch, however many callers ask for it. The read of
+ *   a chargepoint is aborted when every caller waiting for it has aborted.
+ * - The devices schedule their polls on the same grid (see alignDelay), counting from the
+ *   `polledAt` time of their last batch, so their status reads end up in the same batch.
+ *
+ * @class AccountPoller
+ *
+ * @property {Function} getApi - Returns the API client of the account.
+ * @property {Function} logMessage - Central log function, `(level, ...messages)`.
+ * @property {Promise<Array<ChargePoint>>|null} ownedRequest - The running read of the owned chargepoints.
+ * @property {Object|null} owned - The last owned chargepoints, as `{ chargepoints, readAt }`.
+ * @property {Map<string, Array<Object>>|null} batch - The status reads waiting to be sent, per chargepoint.
+ * @property {number|null} polledAt - When the last batch was sent, in ms since the epoch.
+ *******************************************************************************************/
+class AccountPoller {
+
+  /********************************************************************************************
+   * @param {Object} options
+   * @param {Function} options.getApi - Returns the API client of the account.
+   * @param {Function} [options.logMessage] - Central log function, `(level, ...messages)`.
+   *******************************************************************************************/
+  constructor({ getApi, logMessage = () => {} }) {
+    this.getApi = getApi;
+    this.logMessage = logMessage;
+    this.ownedRequest = null;
+    this.owned = null;
+    this.batch = null;
+    this.polledAt = null;
+  }
+
+  /********************************************************************************************
+   * Returns the chargepoints of the account, read less than OWNED_MAX_AGE ago or by a read
+   * that is still running; otherwise they are read again.
+   *
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops waiting for the result, e.g. when the device is deleted.
+   * @returns {Promise<Array<ChargePoint>>}
+   *******************************************************************************************/
+  async getOwnedChargepoints({ signal } = {}) {
+    if (this.owned && Date.now() - this.owned.readAt < OWNED_MAX_AGE) {
+      this.logMessage('trace', 'Using the owned chargepoints read by another device');
+      return this.owned.chargepoints;
+    }
+
+    if (!this.ownedRequest) {
+      this.ownedRequest = this.getApi().getOwnedChargepoints()
+        .then((chargepoints) => {
+          this.owned = { chargepoints, readAt: Date.now() };
+          return chargepoints;
+        })
+        .finally(() => {
+          this.ownedRequest = null;
+        });
+    }
+    return AccountPoller.abortable(this.ownedRequest, signal);
+  }
+
+  /********************************************************************************************
+   * Reads the status of a chargepoint in the batch of the current poll.
+   *
+   * @param {string} chargePointId - The chargepoint ID.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops waiting for the result, e.g. when the device is
+   *   deleted; the read itself is aborted when the other callers of the chargepoint abort too.
+   * @returns {Promise<StatusRead>}
+   *******************************************************************************************/
+  getStatus(chargePointId, { signal } = {}) {
+    if (!this.batch) {
+      this.batch = new Map();
+      // Every status read asked for before the next turn of the event loop joins this batch
+      setImmediate(() => this.sendBatch());
+    }
+
+    const read = new Promise((resolve, reject) => {
+      const waiting = this.batch.get(chargePointId) || [];
+      waiting.push({ resolve, reject, signal });
+      this.batch.set(chargePointId, waiting);
+    });
+    return AccountPoller.abortable(read, signal);
+  }
+
+  /********************************************************************************************
+   * Sends the status reads of the batch, one per chargepoint, and hands every caller the
+   * result for its chargepoint with the time of the batch.
+   *
+   * @async
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async sendBatch() {
+    const { batch } = this;
+    this.batch = null;
+    const polledAt = Date.now();
+    this.polledAt = polledAt;
+    this.logMessage('trace', `Polling the status of ${batch.size} chargepoint(s) together`);
+
+    await Promise.all([...batch].map(async ([chargePointId, waiting]) => {
+      const { signal, release } = AccountPoller.shareSignals(waiting.map((caller) => caller.signal));
+      try {
+        const status = await this.getApi().getStatus(chargePointId, { signal });
+        waiting.forEach(({ resolve }) => resolve({ status, polledAt }));
+      } catch (error) {
+        waiting.forEach(({ reject }) => reject(error));
+      } finally {
+        release();
+      }
+    }));
+  }
+
+  /********************************************************************************************
+   * Returns the seconds to wait for a poll that is due `seconds` after `from`, moved forward to
+   * the next point of the POLL_GRID, so the polls of the devices of the account line up. A
+   * poll that would be due already is moved to the next point of the grid.
+   *
+   * @param {number} seconds - The polling interval.
+   * @param {number} [now=Date.now()] - The time the delay starts, in ms.
+   * @param {number} [from=now] - The time the interval counts from, e.g. the `polledAt` time
+   *   of the last batch, in ms.
+   * @returns {number}
+   *******************************************************************************************/
+  alignDelay(seconds, now = Date.now(), from = now) {
+    const due = Math.ceil((from + seconds * 1000) / POLL_GRID) * POLL_GRID;
+    return (Math.max(due, Math.ceil(now / POLL_GRID) * POLL_GRID) - now) / 1000;
+  }
+
+  /********************************************************************************************
+   * Combines the signals of the callers of a shared read into one that aborts when all of
+   * them have aborted. A caller without a signal keeps the read going.
+   *
+   * @param {Array<AbortSignal|undefined>} signals - The signals of the callers.
+   * @returns {{ signal: AbortSignal|undefined, release: Function }} The signal for the read, and
+   *   a function that stops listening to the callers once the read has settled.
+   *******************************************************************************************/
+  static shareSignals(signals) {
+    if (signals.some((signal) => !signal)) {
+      return { signal: undefined, release: () => {} };
+    }
+
+    const controller = new AbortController();
+    const onAbort = () => {
+      if (signals.every((signal) => signal.aborted)) {
+        controller.abort();
+      }
+    };
+    signals.forEach((signal) => signal.addEventListener('abort', onAbort, { once: true }));
+    onAbort();
+    return {
+      signal: controller.signal,
+      release: () => signals.forEach((signal) => signal.removeEventListener('abort', onAbort)),
+    };
+  }
+
+  /********************************************************************************************
+   * Rejects with an ABORTED error when the signal aborts before the shared read settles. The
+   * read itself goes on for the other callers.
+   *
+   * @param {Promise<any>} promise - The shared read.
+   * @param {AbortSignal} [signal] - The signal of the caller.
+   * @returns {Promise<any>}
+   *******************************************************************************************/
+  static abortable(promise, signal) {
+    if (!signal) {
+      return promise;
+    }
+
+    const aborted = () => new ChargeAmpsError('The request to ChargeAmps was aborted.', { code: ChargeAmpsError.CODES.ABORTED });
+    if (signal.aborted) {
+      promise.catch(() => {}); // The other callers handle the outcome
+      return Promise.reject(aborted());
+    }
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(aborted());
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+}
+
+module.exports = AccountPoller;
@@ -0,0 +1,609 @@
+'use strict';
+
+const axios = require('axios');
+const ChargeAmpsError = require('./ChargeAmpsError');
+const CircuitBreaker = require('./CircuitBreaker');
+
+// The ChargeAmps cloud, used unless another base URL (e.g. the mock server in test/) is given
+const BASE_URL = 'https://eapi.charge.space/api/v5';
+
+// Settings read less than this many ms ago are used for read-modify-write without a new GET
+const SETTINGS_CACHE_TTL = 30 * 1000;
+
+/********************************************************************************************
+ * Reads the expiry of a token. ChargeAmps tokens are JWTs with an `exp` claim.
+ *
+ * @param {string|null} token - The token.
+ * @returns {number|null} The expiry in ms since the epoch, or null when it cannot be read.
+ *******************************************************************************************/
+function tokenExpiry(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/********************************************************************************************
+ * @typedef {Object} ChargePoint
+ * @property {string} id - The chargepoint ID.
+ * @property {string} name - The name given to the chargepoint in the ChargeAmps portal.
+ * @property {string} type - The chargepoint model: 'HALO', 'AURA', 'DAWN' or 'LUNA'.
+ * @property {string} firmwareVersion - The firmware version of the chargepoint.
+ * @property {string|null} ocppVersion - The OCPP version, or null for CAPI chargepoints.
+ * @property {Array<Object>} connectors - The connectors of the chargepoint.
+ *
+ * @typedef {Object} Measurement
+ * @property {string} phase - The phase the measurement belongs to ('L1', 'L2' or 'L3').
+ * @property {number} current - The current in A.
+ * @property {number} voltage - The voltage in V.
+ *
+ * @typedef {Object} ConnectorStatus
+ * @property {string} chargePointId - The chargepoint ID.
+ * @property {number} connectorId - The connector number.
+ * @property {string} status - The OCPP status, e.g. 'Available', 'Connected' or 'Charging'.
+ * @property {number} totalConsumptionKwh - The energy charged in the ongoing session in kWh.
+ * @property {Array<Measurement>|null} measurements - The per-phase measurements.
+ *
+ * @typedef {Object} ChargePointStatus
+ * @property {string} id - The chargepoint ID.
+ * @property {string} status - The status of the chargepoint, e.g. 'Online'.
+ * @property {Array<ConnectorStatus>} connectorStatuses - The status of every readable connector.
+ *
+ * @typedef {Object} ConnectorSettings
+ * @property {string} chargePointId - The chargepoint ID.
+ * @property {number} connectorId - The connector number.
+ * @property {string} mode - 'On' or 'Off'.
+ * @property {boolean} rfidLock - Whether RFID authorization is required.
+ * @property {boolean} cableLock - Whether the cable is locked to the connector.
+ * @property {number} [maxCurrent] - The current limit in A (not present on outlets).
+ *
+ * @typedef {Object} ChargePointSettings
+ * @property {string} id - The chargepoint ID.
+ * @property {string} dimmer - The LED ring level: 'Off', 'Low', 'Medium' or 'High'.
+ * @property {boolean} [downLight] - Whether the downlight is on (HALO only).
+ *
+ * @typedef {Object} ChargingSession
+ * @property {number} id - The session ID.
+ * @property {number} connectorId - The connector the session ran on.
+ * @property {string} startTime - The start of the session.
+ * @property {string|null} endTime - The end of the session, or null while it is ongoing.
+ * @property {number} totalConsumptionKwh - The energy charged in the session in kWh.
+ *******************************************************************************************/
+
+/********************************************************************************************
+ * ChargeAmpsApi is the client for the ChargeAmps external API (v5).
+ *
+ * One instance is owned by the app and shared by every device and driver, so all chargers on
+ * the account use a single session and a single token renewal loop.
+ *
+ * @class ChargeAmpsApi
+ *
+ * @property {string} baseUrl - The base URL of the ChargeAmps API.
+ * @property {Function} getCredentials - Returns the `{ email, password, apiKey }` to log in with.
+ * @property {Function} logMessage - Central log function, `(level, ...messages)`.
+ * @property {Function} onSession - Called with `{ token, refreshToken }` whenever the session changes, or null when it ends.
+ * @property {string|null} token - The token for ChargeAmps API authentication.
+ * @property {string|null} refreshToken - The refresh token for ChargeAmps API authentication.
+ * @property {Promise<void>|null} loginPromise - The ongoing login, shared by concurrent callers.
+ * @property {Promise<void>|null} reauthPromise - The ongoing re-authentication, shared by concurrent callers.
+ * @property {CircuitBreaker} breaker - Stops requests to the account while ChargeAmps is down.
+ * @property {Map<string, Object>} settingsCache - The last read or written settings per URL, with the time they were seen.
+ * @property {number|null} lastPollAt - When a device of the account last polled ChargeAmps successfully, in ms since the epoch.
+ *******************************************************************************************/
+class ChargeAmpsApi {
+
+  /********************************************************************************************
+   * @param {Object} options
+   * @param {Function} options.getCredentials - Returns the `{ email, password, apiKey }` to log in with.
+   * @param {Function} options.logMessage - Central log function, `(level, ...messages)`.
+   * @param {string} [options.baseUrl] - The base URL of the API, defaults to the ChargeAmps cloud.
+   * @param {Object|null} [options.session] - A saved `{ token, refreshToken }` to continue with, instead of logging in.
+   * @param {Function} [options.onSession] - Called with the new session after a login or token renewal, so it can be saved.
+   *******************************************************************************************/
+  constructor({ getCredentials, logMessage, baseUrl = BASE_URL, session = null, onSession = () => {} }) {
+    this.baseUrl = baseUrl;
+    this.getCredentials = getCredentials;
+    this.logMessage = logMessage;
+    this.onSession = onSession;
+    this.token = session ? session.token : null;
+    this.refreshToken = session ? session.refreshToken : null;
+    this.loginPromise = null;
+    this.reauthPromise = null;
+    this.breaker = new CircuitBreaker({ logMessage });
+    this.settingsCache = new Map();
+    this.lastPollAt = null;
+  }
+
+  /********************************************************************************************
+   * Creates an Axios instance configured for the ChargeAmps API.
+   *
+   * @returns {AxiosInstance} A configured Axios instance with a default timeout of 25s.
+   *******************************************************************************************/
+  client() {
+    return axios.create({
+      baseURL: this.baseUrl,
+      timeout: 25000,
+      headers: {
+        'Content-Type': 'application/json',
+        accept: '*/*',
+      },
+    });
+  }
+
+  /********************************************************************************************
+   * Returns true when the client holds a token.
+   *
+   * @returns {boolean}
+   *******************************************************************************************/
+  isLoggedIn() {
+    return this.token !== null;
+  }
+
+  /********************************************************************************************
+   * Records a successful poll by a device of the account, shown on the settings page.
+   *
+   * @param {number} [polledAt=Date.now()] - When the status was read, in ms since the epoch.
+   *******************************************************************************************/
+  recordPoll(polledAt = Date.now()) {
+    this.lastPollAt = polledAt;
+  }
+
+  /********************************************************************************************
+   * Describes the session for the settings page.
+   *
+   * @returns {{ loggedIn: boolean, tokenExpiresAt: number|null, lastPollAt: number|null }}
+   *******************************************************************************************/
+  describeSession() {
+    return {
+      loggedIn: this.isLoggedIn(),
+      tokenExpiresAt: this.isLoggedIn() ? tokenExpiry(this.token) : null,
+      lastPollAt: this.lastPollAt,
+    };
+  }
+
+  // *************************************************************************
+  // SESSION HANDLING
+  // *************************************************************************
+
+  /********************************************************************************************
+   * Logs in with the stored credentials unless a session already exists. Concurrent callers
+   * share the same login request.
+   *
+   * @returns {Promise<void>}
+   * @throws {ChargeAmpsError} If credentials are missing or the login fails.
+   *******************************************************************************************/
+  async ensureSession() {
+    if (this.isLoggedIn()) {
+      return;
+    }
+
+    if (!this.loginPromise) {
+      const { email, password, apiKey } = this.getCredentials();
+      this.loginPromise = this.login(email, password, apiKey)
+        .finally(() => {
+          this.loginPromise = null;
+        });
+    }
+
+    await this.loginPromise;
+  }
+
+  /********************************************************************************************
+   * Logs in to the ChargeAmps service using the provided credentials and security key.
+   *
+   * @param {string} email - The user's email address.
+   * @param {string} password - The user's password.
+   * @param {string} apiKey - The API key issued by ChargeAmps.
+   * @returns {Promise<void>}
+   * @throws {ChargeAmpsError} If credentials are missing or the login fails.
+   *******************************************************************************************/
+  async login(email, password, apiKey) {
+    if (!apiKey) {
+      this.logMessage('error', 'The API key is missing in the settings.');
+      throw new ChargeAmpsError('The ChargeAmps API key is missing. Please enter it in the app settings.', { code: ChargeAmpsError.CODES.MISSING_CREDENTIALS });
+    }
+    if (!email) {
+      this.logMessage('error', 'The email is missing in the settings.');
+      throw new ChargeAmpsError('The ChargeAmps email or password is missing. Please enter them in the app settings.', { code: ChargeAmpsError.CODES.MISSING_CREDENTIALS });
+    }
+    // The password is not stored, so it is only missing when the saved session can no longer be renewed
+    if (!password) {
+      this.logMessage('error', 'The session has expired and no password is stored.');
+      throw new ChargeAmpsError('The ChargeAmps login has expired. Please log in again in the app settings.', { code: ChargeAmpsError.CODES.MISSING_CREDENTIALS });
+    }
+
+    try {
+      this.logMessage('normal', 'ChargeAmps login has been initialized');
+      const response = await this.client().post('/auth/login', {
+        email,
+        password,
+      }, {
+        headers: {
+          apiKey,
+        },
+        timeout: 90000,
+      });
+      this.setSession(response.data.token, response.data.refreshToken);
+    } catch (error) {
+      this.logMessage('error', 'An error occurred during the login process:', error.message);
+      // The login endpoint answers 400 on a wrong password, which is a credential problem too
+      if (error.response && [400, 401, 403].includes(error.response.status)) {
+        throw ChargeAmpsError.authFailed(error);
+      }
+      throw ChargeAmpsError.from(error);
+    }
+  }
+
+  /********************************************************************************************
+   * Renews the session token using the current token and refresh token.
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} Throws an error if the token could not be renewed.
+   *******************************************************************************************/
+  async renewToken() {
+    this.logMessage('normal', 'ChargeAmps renewToken has been initialized');
+    const response = await this.client().post('/auth/refreshtoken', {
+      token: this.token,
+      refreshToken: this.refreshToken,
+    }, {
+      headers: {
+        Authorization: `Bearer ${this.token}`,
+      },
+      timeout: 120000,
+    });
+    this.setSession(response.data.token, response.data.refreshToken);
+  }
+
+  /********************************************************************************************
+   * Keeps the tokens of a new session, or forgets them when `token` is null, and passes them
+   * to `onSession` so the app can continue with them after a restart.
+   *
+   * @param {string|null} token - The token for ChargeAmps API authentication.
+   * @param {string|null} refreshToken - The refresh token.
+   *******************************************************************************************/
+  setSession(token, refreshToken) {
+    this.token = token;
+    this.refreshToken = refreshToken;
+    this.logMessage('trace', 'Token = ', this.token);
+    this.logMessage('trace', 'RefreshToken = ', this.refreshToken);
+    this.onSession(token ? { token, refreshToken } : null);
+  }
+
+  /********************************************************************************************
+   * Gets a new session after the API rejected the token. The refresh token is tried first.
+   * Only when ChargeAmps rejects the refresh token (401/403) a full login with the stored
+   * credentials is done; the saved session is kept until that login has been tried, as no
+   * password is stored to log in with after a restart. When the renewal fails for another
+   * reason, e.g. an outage, the session is kept for the next attempt. Concurrent callers share
+   * the same re-authentication.
+   *
+   * @returns {Promise<void>}
+   * @throws {ChargeAmpsError} If the token renewal fails for another reason than a rejected
+   *   refresh token, or the login after it fails.
+   *******************************************************************************************/
+  async reauthenticate() {
+    if (!this.reauthPromise) {
+      this.reauthPromise = (async () => {
+        try {
+          await this.renewToken();
+        } catch (error) {
+          const status = error.response && error.response.status;
+          if (status !== 401 && status !== 403) {
+            this.logMessage('error', 'Token renewal failed, keeping the session for the next attempt:', error.message);
+            throw ChargeAmpsError.from(error);
+          }
+
+          this.logMessage('normal', `The refresh token was rejected (HTTP ${status}), logging in again`);
+          await this.loginAfterRejectedSession();
+        }
+      })().finally(() => {
+        this.reauthPromise = null;
+      });
+    }
+
+    await this.reauthPromise;
+  }
+
+  /********************************************************************************************
+   * Logs in with the stored credentials after ChargeAmps rejected the refresh token. The
+   * session is only forgotten in memory until then: the login saves its new session, and the
+   * saved one is only removed when the login fails, as it can not be renewed anymore.
+   *
+   * @returns {Promise<void>}
+   * @throws {ChargeAmpsError} If the login fails, e.g. as no password is stored.
+   *******************************************************************************************/
+  async loginAfterRejectedSession() {
+    this.token = null;
+    this.refreshToken = null;
+
+    try {
+      await this.ensureSession();
+    } catch (error) {
+      this.setSession(null, null);
+      throw error;
+    }
+  }
+
+  /********************************************************************************************
+   * Sends an authenticated request to the ChargeAmps API. When the API answers 401 or 403 the
+   * session is renewed and the request is replayed once.
+   *
+   * Every request passes the circuit breaker of the account: while it is open the request is
+   * refused without contacting ChargeAmps.
+   *
+   * @param {string} method - The HTTP method.
+   * @param {string} url - The path relative to the API base URL.
+   * @param {Object} [options]
+   * @param {Object} [options.data] - The request body.
+   * @param {number} [options.timeout=30000] - The request timeout in ms.
+   * @param {AbortSignal} [options.signal] - Aborts the request.
+   * @returns {Promise<any>} The response body.
+   * @throws {ChargeAmpsError} If the request fails, also after renewing the session.
+   *******************************************************************************************/
+  async request(method, url, { data, timeout = 30000, signal } = {}) {
+    if (!this.breaker.allowRequest()) {
+      const nextProbe = new Date(this.breaker.nextProbeAt).toLocaleTimeString();
+      throw new ChargeAmpsError(`The ChargeAmps cloud is not answering, next attempt at ${nextProbe}.`, { code: ChargeAmpsError.CODES.CIRCUIT_OPEN });
+    }
+
+    try {
+      const response = await this.sendAuthenticated(method, url, { data, timeout, signal });
+      this.breaker.recordSuccess();
+      return response.data;
+    } catch (error) {
+      const apiError = ChargeAmpsError.from(error);
+      if (apiError.isOutage()) {
+        this.breaker.recordFailure();
+      } else if (apiError.code === ChargeAmpsError.CODES.ABORTED) {
+        this.breaker.cancelProbe();
+      } else {
+        // ChargeAmps answered, so the cloud itself is up
+        this.breaker.recordSuccess();
+      }
+      throw apiError;
+    }
+  }
+
+  /********************************************************************************************
+   * Sends a request with the session token, renewing the session and replaying the request
+   * once when the API answers 401 or 403. An expired token can be answered with either, and
+   * nothing in a 403 tells it apart from a port the account may not use; a 403 that is left
+   * after the replay is reported as refused access, see ChargeAmpsError.from.
+   *
+   * @param {string} method - The HTTP method.
+   * @param {string} url - The path relative to the API base URL.
+   * @param {Object} options
+   * @param {Object} [options.data] - The request body.
+   * @param {number} options.timeout - The request timeout in ms.
+   * @param {AbortSignal} [options.signal] - Aborts the request.
+   * @returns {Promise<AxiosResponse>}
+   *******************************************************************************************/
+  async sendAuthenticated(method, url, { data, timeout, signal }) {
+    await this.ensureSession();
+
+    const send = () => this.client().request({
+      method,
+      url,
+      data,
+      timeout,
+      signal,
+      headers: {
+        Authorization: `Bearer ${this.token}`,
+      },
+    });
+
+    try {
+      return await send();
+    } catch (error) {
+      const status = error.response && error.response.status;
+      if (status !== 401 && status !== 403) {
+        throw error;
+      }
+
+      this.logMessage('normal', `ChargeAmps API answered ${status} on ${method.toUpperCase()} ${url}, renewing the session and retrying...`);
+      await this.reauthenticate();
+      return send();
+    }
+  }
+
+  /********************************************************************************************
+   * Remembers settings that were read from or written to ChargeAmps.
+   *
+   * @param {string} url - The settings URL.
+   * @param {Object} settings - The settings object.
+   *******************************************************************************************/
+  cacheSettings(url, settings) {
+    this.settingsCache.set(url, { settings: { ...settings }, seenAt: Date.now() });
+  }
+
+  /********************************************************************************************
+   * Returns a copy of the cached settings for a URL, or null when they are missing or older
+   * than SETTINGS_CACHE_TTL.
+   *
+   * @param {string} url - The settings URL.
+   * @returns {Object|null}
+   *******************************************************************************************/
+  getCachedSettings(url) {
+    const cached = this.settingsCache.get(url);
+    if (!cached || Date.now() - cached.seenAt > SETTINGS_CACHE_TTL) {
+      return null;
+    }
+    return { ...cached.settings };
+  }
+
+  // *************************************************************************
+  // ENDPOINTS
+  // *************************************************************************
+
+  /********************************************************************************************
+   * Lists the chargepoints owned by the logged in account.
+   *
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request, e.g. when the device is deleted.
+   *
+   * @returns {Promise<Array<ChargePoint>>}
+   *******************************************************************************************/
+  async getOwnedChargepoints({ signal } = {}) {
+    return this.request('get', '/chargepoints/owned', { signal });
+  }
+
+  /********************************************************************************************
+   * Gets the status of a chargepoint and its connectors.
+   *
+   * @param {string} chargePointId - The chargepoint ID.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request, e.g. when the device is deleted.
+   * @returns {Promise<ChargePointStatus>}
+   *******************************************************************************************/
+  async getStatus(chargePointId, { signal } = {}) {
+    return this.request('get', `/chargepoints/${chargePointId}/status`, { signal });
+  }
+
+  /********************************************************************************************
+   * Gets the settings of one connector.
+   *
+   * @param {string} chargePointId - The chargepoint ID.
+   * @param {number} connectorId - The connector number.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request, e.g. when the device is deleted.
+   * @returns {Promise<ConnectorSettings>}
+   *******************************************************************************************/
+  async getConnectorSettings(chargePointId, connectorId, { signal } = {}) {
+    const url = `/chargepoints/${chargePointId}/connectors/${connectorId}/settings`;
+    const settings = await this.request('get', url, { signal });
+    this.cacheSettings(url, settings);
+    return settings;
+  }
+
+  /********************************************************************************************
+   * Replaces the settings of one connector.
+   *
+   * @param {string} chargePointId - The chargepoint ID.
+   * @param {number} connectorId - The connector number.
+   * @param {ConnectorSettings} settings - The complete settings object.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request, e.g. when the device is deleted.
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async setConnectorSettings(chargePointId, connectorId, settings, { signal } = {}) {
+    const url = `/chargepoints/${chargePointId}/connectors/${connectorId}/settings`;
+    const data = { ...settings, chargePointId, connectorId };
+    await this.request('put', url, {
+      data,
+      signal,
+      timeout: 25000,
+    });
+    this.cacheSettings(url, data);
+  }
+
+  /********************************************************************************************
+   * Changes some fields of the settings of one connector. The current settings are read first
+   * (or taken from a fresh cache), so fields that are not part of `changes` keep their value.
+   *
+   * @param {string} chargePointId - The chargepoint ID.
+   * @param {number} connectorId - The connector number.
+   * @param {Partial<ConnectorSettings>} changes - The fields to change.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request, e.g. when the device is deleted.
+   * @returns {Promise<ConnectorSettings>} The settings that were written.
+   *******************************************************************************************/
+  async updateConnectorSettings(chargePointId, connectorId, changes, { signal } = {}) {
+    const url = `/chargepoints/${chargePointId}/connectors/${connectorId}/settings`;
+    const current = this.getCachedSettings(url) || await this.getConnectorSettings(chargePointId, connectorId, { signal });
+    const settings = { ...current, ...changes };
+    this.logMessage('trace', `Updating connector ${connectorId} settings:`, JSON.stringify(settings));
+    await this.setConnectorSettings(chargePointId, connectorId, settings, { signal });
+    return settings;
+  }
+
+  /********************************************************************************************
+   * Gets the chargepoint wide settings (LED ring and downlight).
+   *
+   * @param {string} chargePointId - The chargepoint ID.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request, e.g. when the device is deleted.
+   * @returns {Promise<ChargePointSettings>}
+   *******************************************************************************************/
+  async getChargepointSettings(chargePointId, { signal } = {}) {
+    const url = `/chargepoints/${chargePointId}/settings`;
+    const settings = await this.request('get', url, { signal });
+    this.cacheSettings(url, settings);
+    return settings;
+  }
+
+  /********************************************************************************************
+   * Replaces the chargepoint wide settings.
+   *
+   * @param {string} chargePointId - The chargepoint ID.
+   * @param {ChargePointSettings} settings - The complete settings object.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request, e.g. when the device is deleted.
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async setChargepointSettings(chargePointId, settings, { signal } = {}) {
+    const url = `/chargepoints/${chargePointId}/settings`;
+    const data = { ...settings, id: chargePointId };
+    await this.request('put', url, {
+      data,
+      signal,
+      timeout: 25000,
+    });
+    this.cacheSettings(url, data);
+  }
+
+  /********************************************************************************************
+   * Changes some fields of the chargepoint wide settings. The current settings are read first
+   * (or taken from a fresh cache), so fields that are not part of `changes` keep their value.
+   *
+   * @param {string} chargePointId - The chargepoint ID.
+   * @param {Partial<ChargePointSettings>} changes - The fields to change.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request, e.g. when the device is deleted.
+   * @returns {Promise<ChargePointSettings>} The settings that were written.
+   *******************************************************************************************/
+  async updateChargepointSettings(chargePointId, changes, { signal } = {}) {
+    const url = `/chargepoints/${chargePointId}/settings`;
+    const current = this.getCachedSettings(url) || await this.getChargepointSettings(chargePointId, { signal });
+    const settings = { ...current, ...changes };
+    this.logMessage('trace', 'Updating chargepoint settings:', JSON.stringify(settings));
+    await this.setChargepointSettings(chargePointId, settings, { signal });
+    return settings;
+  }
+
+  /********************************************************************************************
+   * Gets the latest charging sessions of a chargepoint, or of one of its connectors.
+   *
+   * @param {string} chargePointId - The chargepoint ID.
+   * @param {Object} [options]
+   * @param {number} [options.connectorId] - Only list sessions of this connector.
+   * @param {number} [options.maxCount=2] - The number of sessions to return, newest first.
+   * @param {AbortSignal} [options.signal] - Aborts the request, e.g. when the device is deleted.
+   * @returns {Promise<Array<ChargingSession>>}
+   *******************************************************************************************/
+  async getChargingSessions(chargePointId, { connectorId, maxCount = 2, signal } = {}) {
+    const connectorPath = connectorId ? `/connectors/${connectorId}` : '';
+    return this.request('get', `/chargepoints/${chargePointId}${connectorPath}/chargingsessions?maxCount=${maxCount}`, { signal });
+  }
+
+  /********************************************************************************************
+   * Stops the ongoing charging session on a connector.
+   *
+   * @param {string} chargePointId - The chargepoint ID.
+   * @param {number} connectorId - The connector number.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request, e.g. when the device is deleted.
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async remoteStop(chargePointId, connectorId, { signal } = {}) {
+    await this.request('put', `/chargepoints/${chargePointId}/connectors/${connectorId}/remotestop`, {
+      data: {},
+      signal,
+      timeout: 25000,
+    });
+  }
+
+}
+
+module.exports = ChargeAmpsApi;
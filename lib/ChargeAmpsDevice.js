@@ -0,0 +1,1382 @@
+'use strict';
+
+const { Device } = require('homey');
+const ChargeAmpsError = require('./ChargeAmpsError');
+const { backoffDelay } = require('./backoff');
+const CommandQueue = require('./CommandQueue');
+const Connector = require('./Connector');
+const { writeLog } = require('./log');
+const { runRefreshPlan } = require('./refresh');
+
+// Number of failed polls in a row before the device is marked unavailable
+const UNAVAILABLE_AFTER_FAILURES = 3;
+
+// Upper limit of the polling interval while the ChargeAmps API keeps failing
+const MAX_BACKOFF_SECONDS = 15 * 60;
+
+// After a command the device is polled at the charging interval for this many seconds
+const FAST_POLL_AFTER_COMMAND_SECONDS = 2 * 60;
+
+// The device settings that override the polling interval of the model, per poll state
+const POLL_INTERVAL_SETTINGS = {
+  charging: 'pollIntervalCharging',
+  connected: 'pollIntervalConnected',
+  idle: 'pollIntervalIdle',
+};
+
+/********************************************************************************************
+ * ChargeAmpsDevice is the base class of the HALO, AURA, DAWN and LUNA devices. It holds
+ * everything the chargers have in common: the polling and hourly loops, availability
+ * handling, the charging status and session data, the connector settings (current limit,
+ * on/off, RFID and cable lock), the LED ring and the flow cards.
+ *
+ * A model only declares what it has, by returning a description from `model`:
+ *
+ *   get model() {
+ *     return {
+ *       name: 'DAWN',                          // used in log messages
+ *       prefix: 'dawn',                        // of the model-wide capabilities and flow cards
+ *       pollInterval: { charging: 14, connected: 30, idle: 60, retry: 15 }, // seconds between status polls
+ *       capabilities: [...],                   // all capabilities, in the order they are shown
+ *       oldCapabilities: [...],                // capabilities removed (and re-added) on init
+ *       connectors: [{ connectorId: 1, prefix: 'dawn', cableLock: true }],
+ *     };
+ *   }
+ *
+ * The connector options are passed to Connector. Features that only one model has (like the
+ * outlet and down light of the HALO) are added by the model by extending the methods below.
+ *
+ * The data is fetched by two refresh plans, see runRefreshPlan: the poll (getPollPlan) reads
+ * the status and charging sessions, the hourly refresh (getHourlyPlan) reads the data that
+ * rarely changes. A model adds its own steps by extending those methods.
+ *
+ * @class ChargeAmpsDevice
+ * @extends Device
+ *
+ * @property {string} chargeAmpsId - The ID of the chargepoint, from the pairing process or chosen in a repair.
+ * @property {ChargeAmpsApi} api - The API client of the account of the device (store `accountId`).
+ * @property {AccountPoller} poller - The poller that shares the reads of the account of the device.
+ * @property {Array<Connector>} connectors - The connectors this device reads and controls.
+ * @property {Array<number>|null} readableConnectorIds - The connectors listed in the last status, i.e. those the account can read.
+ * @property {boolean} isGettingData - Flag indicating if data is being fetched from the API.
+ * @property {number} apiFailures - The number of failed ChargeAmps API polls in a row.
+ * @property {CommandQueue} commandQueue - Serializes and merges the settings writes of this chargepoint.
+ * @property {AbortController} abortController - Aborts the running ChargeAmps requests when the device goes away.
+ * @property {Object|null} pollTimer - The timer of the next getCAdataLoop run.
+ * @property {number|null} nextPollAt - When the next getCAdataLoop run is due, in ms since the epoch.
+ * @property {number|null} polledAt - When the batch of the account read the last status, in ms since the epoch.
+ * @property {number} fastPollUntil - Until when the device is polled fast after a command, in ms since the epoch.
+ * @property {Object|null} hourlyTimer - The timer of the next hourlyDataLoop run.
+ * @property {Object|null} startupTimer - The timer of the next startup attempt.
+ * @property {number} startupFailures - The number of failed startup attempts in a row.
+ * @property {Map<string, any>|null} capabilityChanges - The capability values changed by the running poll, written when it ends.
+ * @property {string|null} statusLEDring - The status of the LED ring.
+ * @property {string} debugLevel - The debug level for logging.
+ *
+ * @method onInit - Initializes the device.
+ * @method logMessage - Central log function based on debug level.
+ * @method stopLoops - Cancels the timers and aborts running requests.
+ * @method reportApiSuccess - Marks the device available again after a successful poll.
+ * @method reportApiError - Marks the device unavailable with a clear reason when polls fail.
+ * @method basicPreparation - Prepares the device by setting up capabilities, listeners, and flow cards.
+ * @method rebind - Switches the device to another chargepoint, used by the repair.
+ * @method onSettings - Handles changes in settings.
+ * @method setChargerSettings - Queues connector settings like current limit, RFID lock, and mode.
+ * @method setLightAndDimmer - Queues chargepoint settings like the LED ring dimmer.
+ * @method getCAdataLoop - Loops to get Charge Amps data at the interval of the model.
+ * @method getCAdata - Gets the connector status from Charge Amps.
+ * @method getChargingInfo - Gets the charging sessions from Charge Amps.
+ * @method getHourlyData - Gets the firmware, light and connector settings from Charge Amps.
+ *******************************************************************************************/
+class ChargeAmpsDevice extends Device {
+
+  /********************************************************************************************
+   * Describes the model, see the class documentation. Implemented by every model.
+   *
+   * @returns {Object}
+   *******************************************************************************************/
+  get model() {
+    throw new Error('The model of the device is not declared');
+  }
+
+  /********************************************************************************************
+   * The API client of the ChargeAmps account of this device, shared with the other devices of
+   * that account. Devices paired before accounts existed use the default account.
+   *
+   * @returns {ChargeAmpsApi}
+   * @throws {ChargeAmpsError} When the account has been removed.
+   *******************************************************************************************/
+  get api() {
+    return this.homey.app.getApi(this.getStoreValue('accountId'));
+  }
+
+  /********************************************************************************************
+   * The poller of the ChargeAmps account of this device. The chargepoint status and the owned
+   * chargepoints are read through it, so the devices of an account share those reads.
+   *
+   * @returns {AccountPoller}
+   *******************************************************************************************/
+  get poller() {
+    return this.homey.app.getPoller(this.getStoreValue('accountId'));
+  }
+
+  /********************************************************************************************
+   * Initializes the device.
+   *
+   * This method performs the following actions:
+   * - Defines and initializes the device variables and connectors.
+   * - Calls a module to check capabilities, set capability listeners, and define flow cards.
+   * - Starts logging into the ChargeAmps API and collecting the basic data in the background,
+   *   retried until the ChargeAmps cloud can be reached, see startup.
+   * - Then initializes the loop to get ChargeAmps data, and the hourly data loop with the first
+   *   run after 30 minutes.
+   *
+   * @async
+   *******************************************************************************************/
+  async onInit() {
+    this.debugLevel = this.getSetting('debugLevel') || 'normal';
+    this.logMessage('normal', `${this.model.name} Device has been initialized`);
+
+    // Define variables
+    this.chargeAmpsId = this.getStoreValue('chargePointId') || this.getData().id; // The chargepoint chosen in a repair, or the one from the pairing process
+    this.connectors = this.createConnectors();
+    this.readableConnectorIds = null;
+    this.isGettingData = false;
+    this.apiFailures = 0;
+    this.commandQueue = new CommandQueue({ logMessage: this.logMessage.bind(this), onWrite: () => this.pollFastAfterCommand() });
+    this.abortController = new AbortController();
+    this.pollTimer = null;
+    this.nextPollAt = null;
+    this.polledAt = null;
+    this.fastPollUntil = 0;
+    this.hourlyTimer = null;
+    this.startupTimer = null;
+    this.startupFailures = 0;
+    this.capabilityChanges = null;
+    this.statusLEDring = null;
+
+    // Log the id to ensure a value has been recieved
+    this.logMessage('normal', `chargeAmpsId retrieved: ${this.chargeAmpsId}`);
+
+    // Continue with the session of the account kept in the store, and keep it up to date
+    this.homey.app.attachDevice(this);
+
+    // Call module to Check Capabilities, set Capability Listeners, and define Flow Cards
+    await this.basicPreparation();
+
+    // Not awaited, so the initialization finishes while the ChargeAmps cloud cannot be reached
+    this.startLoops();
+  }
+
+  /********************************************************************************************
+   * Starts the device in the background, see startup.
+   *******************************************************************************************/
+  startLoops() {
+    this.startupFailures = 0;
+    this.startup();
+  }
+
+  /********************************************************************************************
+   * Logs in and collects the basic data, then starts the polling and hourly loops.
+   *
+   * When ChargeAmps cannot be reached, e.g. while the internet is still coming back after a
+   * power cut, the device is marked unavailable with the reason and the startup is retried
+   * with backoff: from the retry interval of the model up to MAX_BACKOFF_SECONDS.
+   *
+   * A startup that is still running when the device reconnects stops at the next check of the
+   * signal it started with, so only the startup of the new session starts the loops.
+   *
+   * @async
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async startup() {
+    const { signal } = this.abortController;
+
+    // Stop when the device has been deleted or uninitialized
+    if (signal.aborted) {
+      return;
+    }
+
+    // Login to ChargeAmps API (the session is shared by the devices of the account) and collect
+    // the basic data
+    try {
+      await this.api.ensureSession();
+
+      // Initial collection of basic data from ChargeAmps
+      await this.getHourlyData();
+    } catch (error) {
+      if (signal.aborted) {
+        return;
+      }
+
+      this.startupFailures += 1;
+      const delay = backoffDelay(this.startupFailures, { base: this.model.pollInterval.retry * 1000, max: MAX_BACKOFF_SECONDS * 1000 });
+      this.logMessage('error', `Starting failed, retrying in ${Math.round(delay / 1000)} seconds:`, error);
+      await this.setUnavailable(ChargeAmpsError.from(error).message).catch(this.error);
+      this.homey.clearTimeout(this.startupTimer);
+      this.startupTimer = this.homey.setTimeout(() => this.startup(), delay);
+      return;
+    }
+
+    if (signal.aborted) {
+      return;
+    }
+
+    // Initialize the collection of the most needed ChargeAmps Data in a Loop
+    this.getCAdataLoop();
+
+    // Initialize Hourly Data Loop (first run after 30min)
+    this.homey.clearTimeout(this.hourlyTimer);
+    this.hourlyTimer = this.homey.setTimeout(() => this.hourlyDataLoop(), 1000 * 60 * 30); // 30 minutes delay for the first execution
+  }
+
+  /********************************************************************************************
+   * Called when the device is uninitialized, e.g. when the app is stopped or updated.
+   *
+   * @async
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async onUninit() {
+    this.logMessage('normal', `${this.model.name} Device has been uninitialized`);
+    this.stopLoops();
+    this.homey.app.detachDevice(this);
+  }
+
+  /********************************************************************************************
+   * Called when the device is deleted by the user.
+   *
+   * @async
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async onDeleted() {
+    this.logMessage('normal', `${this.model.name} Device has been deleted`);
+    this.stopLoops();
+    this.homey.app.detachDevice(this);
+  }
+
+  /********************************************************************************************
+   * Stops the startup retries, the polling and hourly loops and aborts all requests that are still running, so
+   * nothing keeps calling the ChargeAmps API for a device that no longer exists.
+   *******************************************************************************************/
+  stopLoops() {
+    this.homey.clearTimeout(this.startupTimer);
+    this.homey.clearTimeout(this.pollTimer);
+    this.homey.clearTimeout(this.hourlyTimer);
+    this.abortController.abort();
+  }
+
+  /********************************************************************************************
+   * Starts over with a new session of the account, e.g. after the credentials were changed in
+   * the app settings: the requests that are still running are aborted, and the loops are
+   * started again as if the device was just initialized.
+   *
+   * @async
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async reconnect() {
+    this.logMessage('normal', 'Reconnecting with the new ChargeAmps session');
+    this.stopLoops();
+    this.abortController = new AbortController();
+    this.readableConnectorIds = null;
+    this.apiFailures = 0;
+    this.startLoops();
+  }
+
+  /********************************************************************************************
+   * Logs messages based on the specified debug level. Tokens, API keys, passwords, emails and
+   * RFID tag IDs are masked at every level, see lib/log.js.
+   *
+   * @param {string} level - The level of the message to log. Can be 'off', 'normal', 'trace', 'full', or 'error'.
+   * @param {...any} messages - The messages to log.
+   *******************************************************************************************/
+  logMessage(level, ...messages) {
+    writeLog(this.log.bind(this), this.debugLevel, level, messages);
+  }
+
+  /********************************************************************************************
+   * Marks the device available again after a successful poll of the ChargeAmps API.
+   *
+   * @async
+   * @param {number} polledAt - When the batch of the account read the status, in ms since the epoch.
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async reportApiSuccess(polledAt) {
+    this.apiFailures = 0;
+    this.polledAt = polledAt;
+    this.api.recordPoll(polledAt);
+    await this.updateDiagnostics();
+    if (!this.getAvailable()) {
+      this.logMessage('normal', 'ChargeAmps API is reachable again, marking device available');
+      await this.setAvailable().catch(this.error);
+    }
+  }
+
+  /********************************************************************************************
+   * Marks the device unavailable with the reason of a failed poll of the ChargeAmps API.
+   *
+   * Credential problems make the device unavailable right away. Timeouts and other cloud
+   * errors only do so when they repeat UNAVAILABLE_AFTER_FAILURES times in a row, so a
+   * single hiccup does not flag the charger as dead. Errors that did not come from the API
+   * (e.g. a failing capability update) are ignored.
+   *
+   * @async
+   * @param {Error} error - The error thrown by the API client.
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async reportApiError(error) {
+    if (!(error instanceof ChargeAmpsError) || error.code === ChargeAmpsError.CODES.ABORTED) {
+      return;
+    }
+
+    this.apiFailures += 1;
+    await this.updateDiagnostics();
+    if (error.isCredentialError() || this.apiFailures >= UNAVAILABLE_AFTER_FAILURES) {
+      this.logMessage('normal', `Marking device unavailable: ${error.message}`);
+      await this.setUnavailable(error.message).catch(this.error);
+    }
+  }
+
+  /********************************************************************************************
+   * Shows the state of the account's circuit breaker in the device settings (diagnostics).
+   *
+   * @async
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async updateDiagnostics() {
+    let circuitBreaker;
+    try {
+      circuitBreaker = this.api.breaker.describe();
+    } catch (error) {
+      return; // The account has been removed, there is nothing to show
+    }
+    if (this.getSetting('circuitBreaker') !== circuitBreaker) {
+      await this.setSettings({ circuitBreaker }).catch(this.error);
+    }
+  }
+
+  /********************************************************************************************
+   * Creates the connectors of the model. Models that do not use all their connectors (the
+   * AURA with port access) return fewer.
+   *
+   * @returns {Array<Connector>}
+   *******************************************************************************************/
+  createConnectors() {
+    return this.model.connectors.map((options) => new Connector(options));
+  }
+
+  /********************************************************************************************
+   * Returns the connector with the given number.
+   *
+   * @param {number} connectorId - The connector number.
+   * @returns {Connector}
+   * @throws {Error} When the device does not use that connector.
+   *******************************************************************************************/
+  getConnector(connectorId) {
+    const connector = this.connectors.find((candidate) => candidate.connectorId === connectorId);
+    if (!connector) {
+      throw new Error(`Charger ${connectorId} is not available on this device`);
+    }
+    return connector;
+  }
+
+  /********************************************************************************************
+   * Returns the name of a capability of the whole chargepoint, e.g. 'dawnFW'.
+   *
+   * @param {string} name - The capability name without the prefix.
+   * @returns {string}
+   *******************************************************************************************/
+  capability(name) {
+    return `${this.model.prefix}${name}`;
+  }
+
+  /********************************************************************************************
+   * Returns the capabilities the device should have, in the order they are shown.
+   *
+   * @returns {Array<string>}
+   *******************************************************************************************/
+  getCapabilityList() {
+    return this.model.capabilities;
+  }
+
+  /********************************************************************************************
+   * Whether the LED ring can be read and controlled on this device.
+   *
+   * @returns {boolean}
+   *******************************************************************************************/
+  hasLedRing() {
+    return true;
+  }
+
+  /********************************************************************************************
+   * Returns the value of a capability, including a change of the running poll that has not
+   * been written yet.
+   *
+   * @param {string} capability - The capability.
+   * @returns {any}
+   *******************************************************************************************/
+  getCapabilityValue(capability) {
+    if (this.capabilityChanges && this.capabilityChanges.has(capability)) {
+      return this.capabilityChanges.get(capability);
+    }
+    return super.getCapabilityValue(capability);
+  }
+
+  /********************************************************************************************
+   * Updates capabilities from the data read from ChargeAmps. Only the values that changed are
+   * written, so unchanged readings cause no Insights entries or flow evaluations. During a
+   * poll the changes are collected and written together when it ends, see
+   * batchCapabilityChanges.
+   *
+   * @param {Object<string, any>} values - The new value of every capability.
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async updateCapabilities(values) {
+    const changes = Object.entries(values).filter(([capability, value]) => this.getCapabilityValue(capability) !== value);
+    if (this.capabilityChanges) {
+      changes.forEach(([capability, value]) => this.capabilityChanges.set(capability, value));
+      return;
+    }
+    await this.writeCapabilityValues(changes);
+  }
+
+  /********************************************************************************************
+   * Runs a poll, collecting its capability changes and writing them together at the end. A
+   * poll that starts while another one is collecting joins it.
+   *
+   * @async
+   * @param {Function} poll - The poll to run.
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async batchCapabilityChanges(poll) {
+    if (this.capabilityChanges) {
+      await poll();
+      return;
+    }
+
+    this.capabilityChanges = new Map();
+    try {
+      await poll();
+    } finally {
+      const changes = [...this.capabilityChanges];
+      this.capabilityChanges = null;
+      await this.writeCapabilityValues(changes);
+    }
+  }
+
+  /********************************************************************************************
+   * Writes capability values. A value that cannot be written is logged, the others are still
+   * written.
+   *
+   * @param {Array<Array>} changes - The `[capability, value]` pairs to write.
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async writeCapabilityValues(changes) {
+    await Promise.all(changes.map(async ([capability, value]) => {
+      try {
+        await this.setCapabilityValue(capability, value);
+        this.logMessage('trace', `Capability "${capability}" updated to: ${value}`);
+      } catch (error) {
+        this.logMessage('error', `Error updating capability "${capability}":`, error);
+      }
+    }));
+  }
+
+  /********************************************************************************************
+   * Prepares the device by removing old capabilities and adding new ones.
+   *
+   * This method performs the following steps:
+   * 1. Checks and removes old capabilities if they exist.
+   * 2. Adds the capabilities of the device in the correct order if they are not already added,
+   *    and removes the declared capabilities the device does not use.
+   * 3. Registers capability listeners for user interactions.
+   * 4. Registers flow cards to enable user-defined automations.
+   *
+   * @async
+   * @returns {Promise<void>} A promise that resolves when the preparation is complete.
+   *******************************************************************************************/
+  async basicPreparation() {
+
+    // Check and remove old capabilities, which are re-added below
+    for (const capability of this.model.oldCapabilities) {
+      if (this.hasCapability(capability)) {
+        this.logMessage('trace', `Removing old capability: ${capability}`);
+        await this.removeCapability(capability);
+      }
+    }
+
+    // Add the capabilities of the device and remove those it does not use
+    await this.syncCapabilities();
+
+    // Register capability listeners for user interactions
+    this.registerCapabilityListeners();
+
+    // Register flow cards to enable user-defined automations
+    this.registerFlowCards();
+  }
+
+  /********************************************************************************************
+   * Adds the capabilities of the device in the correct order if they are not already added,
+   * and removes the declared capabilities the device does not use.
+   *
+   * @async
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async syncCapabilities() {
+    const capabilities = this.getCapabilityList();
+    for (const capability of capabilities) {
+      if (!this.hasCapability(capability)) {
+        this.logMessage('trace', `Adding capability: ${capability}`);
+        await this.addCapability(capability);
+      }
+    }
+
+    for (const capability of this.model.capabilities) {
+      if (!capabilities.includes(capability) && this.hasCapability(capability)) {
+        this.logMessage('trace', `Removing unused capability: ${capability}`);
+        await this.removeCapability(capability);
+      }
+    }
+  }
+
+  /********************************************************************************************
+   * Registers the capability listeners for the on/off, RFID and cable lock buttons of every
+   * connector, and for the LED ring.
+   *******************************************************************************************/
+  registerCapabilityListeners() {
+    for (const connector of this.connectors) {
+      const { onoff, rfidButton, cableLockButton } = connector.capabilities;
+      this.registerCapabilityListener(onoff, (value) => this.onOnOffCapabilityChange(connector, value));
+      this.registerCapabilityListener(rfidButton, (value) => this.setRfidLock(connector, value));
+      if (connector.hasCableLock) {
+        this.registerCapabilityListener(cableLockButton, (value) => this.setCableLock(connector, value));
+      }
+    }
+
+    if (this.hasLedRing()) {
+      this.registerCapabilityListener(this.capability('LEDringButton'), (value) => this.setLEDring(value));
+    }
+  }
+
+  /********************************************************************************************
+   * Registers the flow cards of the model and of every connector.
+   *
+   * A card is shared by all devices of the app, so the listeners work on the device chosen in
+   * the flow (`args.device`) and not on the device that registered them. For the same reason
+   * the cards of every connector of the model are registered, also those this device does not
+   * use; the flow card filters only offer the cards of a connector to devices that use it.
+   *
+   * Action Cards:
+   * - <model>-change-led-ring: Changes the LED ring status.
+   * - <connector>-changecurrent: Changes the current limit.
+   * - <connector>-turn-on-RFID / -turn-off-RFID: Turns the RFID lock on or off.
+   * - <connector>-turn-on-CableLock / -turn-off-CableLock: Locks or unlocks the cable.
+   * - <connector>-charger-on / -charger-off: Turns the charger on or off (AURA).
+   *
+   * Condition Cards:
+   * - <connector>-carIsConnected: Checks if the car is connected.
+   * - <connector>-carIsCharging: Checks if the car is charging.
+   * - <connector>-RFIDStatus: Checks the RFID status.
+   * - <connector>-CableLockStatus: Checks the cable lock status.
+   * - <connector>-charger-status: Checks if the charger is on (AURA).
+   *******************************************************************************************/
+  registerFlowCards() {
+    this.homey.flow.getActionCard(`${this.model.prefix}-change-led-ring`)
+      .registerRunListener(async ({ device, LEDring }) => device.setLEDring(LEDring));
+
+    for (const options of this.model.connectors) {
+      this.registerConnectorFlowCards(new Connector(options));
+    }
+  }
+
+  /********************************************************************************************
+   * Registers the flow cards of one connector, see registerFlowCards.
+   *
+   * @param {Connector} connector - The connector.
+   *******************************************************************************************/
+  registerConnectorFlowCards(connector) {
+    const { connectorId } = connector;
+    const action = (name, listener) => this.homey.flow.getActionCard(connector.card(name))
+      .registerRunListener(async (args) => listener(args.device, args.device.getConnector(connectorId), args));
+    const condition = (name, capability, value) => this.homey.flow.getConditionCard(connector.card(name))
+      .registerRunListener(async ({ device }) => device.getCapabilityValue(device.getConnector(connectorId).capabilities[capability]) === value);
+
+    action('changecurrent', (device, target, { Current }) => device.setCurrentLimit(target, Current, { updateSetting: true }));
+    action('turn-on-RFID', (device, target) => device.setRfidLock(target, true));
+    action('turn-off-RFID', (device, target) => device.setRfidLock(target, false));
+    condition('carIsConnected', 'carConnected', 'Connected');
+    condition('carIsCharging', 'carConnected', 'Charging');
+    condition('RFIDStatus', 'rfidStatus', 'On');
+
+    if (connector.hasCableLock) {
+      action('turn-on-CableLock', (device, target) => device.setCableLock(target, true));
+      action('turn-off-CableLock', (device, target) => device.setCableLock(target, false));
+      condition('CableLockStatus', 'cableLockStatus', 'On');
+    }
+
+    if (connector.hasSwitchCards) {
+      action('charger-on', (device, target) => device.switchCharger(target, true));
+      action('charger-off', (device, target) => device.switchCharger(target, false));
+      condition('charger-status', 'chargerStatus', 'On');
+    }
+  }
+
+  /********************************************************************************************
+   * Triggers a device flow card of this device.
+   *
+   * @param {string} id - The flow card ID.
+   *******************************************************************************************/
+  triggerFlow(id) {
+    this.logMessage('trace', `Triggering flow card "${id}"`);
+    this.homey.flow.getDeviceTriggerCard(id).trigger(this, {}, {}).catch(this.error);
+  }
+
+  /********************************************************************************************
+   * Handles the change in the On/Off capability of a charger.
+   *
+   * @param {Connector} connector - The connector of the charger.
+   * @param {boolean} value - `true` for On, `false` for Off.
+   * @returns {Promise<void>} - A promise that resolves when the operation is complete.
+   *******************************************************************************************/
+  async onOnOffCapabilityChange(connector, value) {
+    await this.switchCharger(connector, value);
+  }
+
+  /********************************************************************************************
+   * Turns a charger on or off. Turning it off stops a running charge first.
+   *
+   * @param {Connector} connector - The connector of the charger.
+   * @param {boolean} on - Whether to turn the charger on.
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async switchCharger(connector, on) {
+    const status = on ? 'On' : 'Off';
+    this.logMessage('normal', `${connector.label} mode set to: ${status}`);
+
+    if (connector.hasSwitchCards) {
+      this.triggerFlow(connector.card(on ? 'switched-on' : 'switched-off'));
+    }
+
+    await Promise.all([
+      this.setChargerSettings(connector, { mode: status }),
+      this.setCapabilityValue(connector.capabilities.chargerStatus, status),
+      this.setCapabilityValue(connector.capabilities.onoff, on),
+    ]);
+
+    connector.mode = status; // Update the internal variable
+    this.logMessage('trace', `Updated ${connector.capabilities.chargerStatus}: ${status}`);
+  }
+
+  /********************************************************************************************
+   * Changes the current limit of a charger.
+   *
+   * @param {Connector} connector - The connector of the charger.
+   * @param {number} current - The current limit (A).
+   * @param {Object} [options]
+   * @param {boolean} [options.updateSetting=false] - Whether to update the device setting too.
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async setCurrentLimit(connector, current, { updateSetting = false } = {}) {
+    this.logMessage('trace', `${connector.label} current value received:`, current);
+
+    await Promise.all([
+      updateSetting ? this.setSettings({ [connector.currentLimitSetting]: current }) : null,
+      this.setChargerSettings(connector, { maxCurrent: current }),
+      this.setCapabilityValue(connector.capabilities.currentLimit, current),
+    ]);
+
+    connector.current = current; // Update the internal variable
+    this.logMessage('normal', `${connector.label} current limit has been set to:`, current);
+  }
+
+  /********************************************************************************************
+   * Turns the RFID lock of a charger on or off.
+   *
+   * @param {Connector} connector - The connector of the charger.
+   * @param {boolean} enabled - Whether RFID authorization is required.
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async setRfidLock(connector, enabled) {
+    this.logMessage('normal', `${connector.label} RFID turned ${enabled ? 'ON' : 'OFF'}`);
+    this.triggerFlow(connector.card(enabled ? 'RFID-switched-on' : 'RFID-switched-off'));
+
+    await Promise.all([
+      this.setChargerSettings(connector, { rfidLock: enabled }),
+      this.setCapabilityValue(connector.capabilities.rfidStatus, enabled ? 'On' : 'Off'),
+      this.setCapabilityValue(connector.capabilities.rfidButton, enabled),
+    ]);
+
+    connector.rfidLock = enabled; // Update the internal variable
+  }
+
+  /********************************************************************************************
+   * Locks or unlocks the cable of a charger.
+   *
+   * @param {Connector} connector - The connector of the charger.
+   * @param {boolean} locked - Whether the cable should be locked.
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async setCableLock(connector, locked) {
+    this.logMessage('normal', `${connector.label} Cable Lock turned ${locked ? 'ON' : 'OFF'}`);
+    this.triggerFlow(connector.card(locked ? 'CableLock-switched-on' : 'CableLock-switched-off'));
+
+    await Promise.all([
+      this.setChargerSettings(connector, { cableLock: locked }),
+      this.setCapabilityValue(connector.capabilities.cableLockStatus, locked ? 'On' : 'Off'),
+      this.setCapabilityValue(connector.capabilities.cableLockButton, locked),
+    ]);
+
+    connector.cableLock = locked; // Update the internal variable
+  }
+
+  /********************************************************************************************
+   * Changes the LED ring.
+   *
+   * @param {string} value - The LED ring level, e.g. 'Off', 'Low' or 'High'.
+   * @returns {Promise<void>}
+   * @throws {Error} When the LED ring cannot be controlled on this device.
+   *******************************************************************************************/
+  async setLEDring(value) {
+    if (!this.hasLedRing()) {
+      throw new Error('The LED ring is not available on this device');
+    }
+    this.logMessage('normal', 'LED Ring has been set to:', value);
+
+    await Promise.all([
+      this.setLightAndDimmer({ dimmer: value }),
+      this.setCapabilityValue(this.capability('LEDringStatus'), value),
+      this.setCapabilityValue(this.capability('LEDringButton'), value),
+    ]);
+
+    this.statusLEDring = value; // Update the internal variable
+  }
+
+  /********************************************************************************************
+   * Switches the device to another chargepoint, possibly of another account, e.g. after it
+   * moved to another account. The Homey device, with its capabilities, Insights and flows,
+   * stays the same; the connectors start over and all data is collected again right away.
+   *
+   * @async
+   * @param {string} chargePointId - The ID of the chargepoint the device controls from now on.
+   * @param {string} [accountId] - The ID of the account of the chargepoint, defaults to the current one.
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async rebind(chargePointId, accountId = this.getStoreValue('accountId')) {
+    this.logMessage('normal', `Device is now bound to chargepoint ${chargePointId} (was ${this.chargeAmpsId})`);
+    await this.setStoreValue('chargePointId', chargePointId);
+    await this.setStoreValue('accountId', accountId);
+    this.homey.app.storeSession(this);
+    this.chargeAmpsId = chargePointId;
+
+    this.connectors = this.createConnectors();
+    this.registerCapabilityListeners();
+    this.readableConnectorIds = null;
+    this.apiFailures = 0;
+
+    await this.getHourlyData().catch((error) => this.logMessage('error', 'Error during getHourlyData execution:', error));
+    await this.getCAdata();
+  }
+
+  /********************************************************************************************
+   * Handles the settings change event.
+   *
+   * @async
+   * @param {Object} param - The parameter object.
+   * @param {Object} param.newSettings - The new settings object.
+   * @param {Array<string>} param.changedKeys - The keys of the changed settings.
+   * @returns {Promise<void>} A promise that resolves when the settings have been updated.
+   *******************************************************************************************/
+  async onSettings({ newSettings, changedKeys }) {
+    this.logMessage('normal', 'Settings were changed');
+
+    // update the debug level if it has changed
+    if (changedKeys.includes('debugLevel')) {
+      this.debugLevel = newSettings.debugLevel; // update the debug level
+      this.logMessage('normal', `Debug level updated to: ${this.debugLevel}`);
+    }
+
+    // Handle the current limit settings
+    for (const connector of this.connectors) {
+      if (changedKeys.includes(connector.currentLimitSetting)) {
+        await this.setCurrentLimit(connector, newSettings[connector.currentLimitSetting]);
+      }
+    }
+  }
+
+  /********************************************************************************************
+   * Collects the hourly data from ChargeAmps every 59 minutes. The token itself is renewed by
+   * the app, as the session is shared by the devices of the account. A run that is still going
+   * when the device reconnects does not schedule the next one, the new session does.
+   *
+   * @async
+   * @function hourlyDataLoop
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async hourlyDataLoop() {
+    const { signal } = this.abortController;
+
+    // Stop when the device has been deleted or uninitialized
+    if (signal.aborted) {
+      return;
+    }
+
+    try {
+      await this.getHourlyData();
+    } catch (error) {
+      this.logMessage('error', 'Error during getHourlyData execution:', error);
+    }
+
+    if (signal.aborted) {
+      return;
+    }
+    this.homey.clearTimeout(this.hourlyTimer);
+    this.hourlyTimer = this.homey.setTimeout(() => this.hourlyDataLoop(), 1000 * 60 * 59);
+  }
+
+  /********************************************************************************************
+   * Queues changes to the settings of a charger in ChargeAmps. Changes queued while an earlier
+   * write for the same connector is still waiting are merged into that write.
+   *
+   * @param {Connector} connector - The connector of the charger.
+   * @param {Object} changes - The fields to change.
+   * @param {number} [changes.maxCurrent] - The current limit to set for the charger.
+   * @param {boolean} [changes.rfidLock] - Whether RFID authorization is required.
+   * @param {boolean} [changes.cableLock] - Whether the cable is locked.
+   * @param {string} [changes.mode] - 'On' or 'Off'. When 'Off', a remote stop will be attempted.
+   * @returns {Promise<void>} - Settles with the outcome of the write that carried the changes.
+   * @throws {Error} - Throws an error if there is an issue setting the charger settings.
+   *******************************************************************************************/
+  async setChargerSettings(connector, changes) {
+    try {
+      await this.commandQueue.enqueue(`connector${connector.connectorId}`, changes, (merged) => this.writeChargerSettings(connector, merged));
+    } catch (error) {
+      this.logMessage('error', 'Error encountred:', error);
+      throw error;
+    }
+  }
+
+  /********************************************************************************************
+   * Writes the changed charger settings to ChargeAmps. Only called by the command queue.
+   *
+   * @param {Connector} connector - The connector of the charger.
+   * @param {Object} changes - The merged changes of all queued callers.
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async writeChargerSettings(connector, changes) {
+    this.logMessage('normal', `Setting ${connector.label} settings in ChargeAmps with:`, JSON.stringify(changes));
+
+    if (changes.mode === 'Off') {
+      try {
+        this.logMessage('trace', `Trying a remoteStop as requested mode is: ${changes.mode}`);
+        await this.api.remoteStop(this.chargeAmpsId, connector.connectorId, { signal: this.abortController.signal });
+        await new Promise((resolve) => this.homey.setTimeout(resolve, 2000)); // 2-second delay before the next API call
+      } catch (error) {
+        this.logMessage('error', `Failed to stop ${connector.label}:`, error);
+        // Continue even if the stop failed
+      }
+    }
+
+    // Only the changed fields are written, the rest keeps the value ChargeAmps has
+    await this.api.updateConnectorSettings(this.chargeAmpsId, connector.connectorId, changes, { signal: this.abortController.signal });
+  }
+
+  /********************************************************************************************
+   * Queues changes to the chargepoint settings (LED ring dimmer, down light) in ChargeAmps.
+   *
+   * @param {Object} changes - The fields to change.
+   * @param {string} [changes.dimmer] - The desired LED ring level.
+   * @param {boolean} [changes.downLight] - The desired state of the down light (HALO).
+   * @returns {Promise<void>} - Settles with the outcome of the write that carried the changes.
+   * @throws {Error} - Throws an error if the API request fails.
+   *******************************************************************************************/
+  async setLightAndDimmer(changes) {
+    try {
+      await this.commandQueue.enqueue('chargepoint', changes, async (merged) => {
+        this.logMessage('normal', 'Setting chargepoint lights has been initialized', merged);
+        await this.api.updateChargepointSettings(this.chargeAmpsId, merged, { signal: this.abortController.signal });
+      });
+    } catch (error) {
+      this.logMessage('error', 'Error encountred:', error);
+      throw error;
+    }
+  }
+
+  /********************************************************************************************
+   * Fetches the ChargeAmps data in a loop, with an interval that follows the state of the
+   * connectors, see getPollInterval. A poll that is still running is retried after the retry
+   * interval of the model. While polls of the ChargeAmps API keep failing, the interval backs
+   * off exponentially (with jitter) up to 15 minutes.
+   *
+   * @async
+   * @function getCAdataLoop
+   * @returns {Promise<void>} No return value.
+   *******************************************************************************************/
+  async getCAdataLoop() {
+    const { signal } = this.abortController;
+
+    // Stop when the device has been deleted or uninitialized
+    if (signal.aborted) {
+      return;
+    }
+
+    const { retry: retryTimeout } = this.model.pollInterval;
+
+    if (!this.isGettingData) {
+      try {
+        const startTime = Date.now();
+        await this.getCAdata();
+        if (signal.aborted) {
+          return;
+        }
+        const endTime = Date.now();
+        const elapsedTime = (endTime - startTime) / 1000;
+        this.logMessage('normal', `INFORMATION: Info collection took ${elapsedTime} seconds to complete`);
+
+        let timeout = this.getPollInterval();
+
+        // Back off while the ChargeAmps API keeps failing
+        if (this.apiFailures > 0) {
+          timeout = Math.round(backoffDelay(this.apiFailures, { base: retryTimeout * 1000, max: MAX_BACKOFF_SECONDS * 1000 }) / 1000);
+        }
+
+        this.logMessage('normal', `INFORMATION: Next info collection in ${timeout} seconds`);
+        // Counted from the batch of the account, so the devices polled with it stay together
+        this.schedulePoll(timeout, this.apiFailures > 0 ? undefined : this.polledAt);
+      } catch (error) {
+        if (signal.aborted) {
+          return;
+        }
+        this.logMessage('error', 'Error during getCAdata execution:', error);
+        this.schedulePoll(retryTimeout);
+      }
+    } else {
+      this.schedulePoll(retryTimeout);
+    }
+  }
+
+  /********************************************************************************************
+   * Schedules the next run of getCAdataLoop. The delay is moved forward to the polling grid of
+   * the account, so the devices of the account poll together and share the status reads.
+   *
+   * @param {number} seconds - The delay in seconds.
+   * @param {number} [from] - The time the delay counts from, in ms since the epoch; now when not given.
+   *******************************************************************************************/
+  schedulePoll(seconds, from) {
+    const now = Date.now();
+    const delay = this.poller.alignDelay(seconds, now, from == null ? now : from) * 1000;
+    this.homey.clearTimeout(this.pollTimer);
+    this.nextPollAt = now + delay;
+    this.pollTimer = this.homey.setTimeout(() => this.getCAdataLoop(), delay);
+  }
+
+  /********************************************************************************************
+   * Returns the poll state of the device: that of its busiest connector, and 'charging' for a
+   * while after a command, so its effect shows up quickly.
+   *
+   * @returns {string} 'charging', 'connected' or 'idle'.
+   *******************************************************************************************/
+  getPollState() {
+    if (Date.now() < this.fastPollUntil) {
+      return 'charging';
+    }
+    const states = this.connectors.map((connector) => connector.pollState());
+    return ['charging', 'connected'].find((state) => states.includes(state)) || 'idle';
+  }
+
+  /********************************************************************************************
+   * Returns the number of seconds until the next poll for the poll state of the device: the
+   * polling interval setting of that state, or the interval of the model when it is not set.
+   *
+   * @returns {number}
+   *******************************************************************************************/
+  getPollInterval() {
+    const state = this.getPollState();
+    return this.getSetting(POLL_INTERVAL_SETTINGS[state]) || this.model.pollInterval[state];
+  }
+
+  /********************************************************************************************
+   * Polls at the charging interval for FAST_POLL_AFTER_COMMAND_SECONDS after a command. A poll
+   * that is due later than that interval is moved forward.
+   *******************************************************************************************/
+  pollFastAfterCommand() {
+    this.fastPollUntil = Date.now() + FAST_POLL_AFTER_COMMAND_SECONDS * 1000;
+
+    const interval = this.getPollInterval();
+    if (this.pollTimer && !this.isGettingData && this.nextPollAt > Date.now() + interval * 1000 && !this.abortController.signal.aborted) {
+      this.logMessage('normal', `INFORMATION: Command sent, next info collection in ${interval} seconds`);
+      this.schedulePoll(interval);
+    }
+  }
+
+
+  /********************************************************************************************
+   * Polls ChargeAmps: runs the poll plan, see getPollPlan. The changed capabilities are
+   * written together when the poll ends. Only one poll runs at a time.
+   *
+   * @async
+   * @returns {Promise<void>} A promise that resolves when the data fetching and updating process is complete.
+   *******************************************************************************************/
+  async getCAdata() {
+    // Log initialization of data fetching
+    this.logMessage('normal', `Fetching ${this.model.name} Status info from ChargeAmps API...`);
+
+    // Check if data fetching is already in progress
+    if (this.isGettingData) {
+      this.logMessage('trace', 'getCAdata is already running, skipping');
+      return;
+    }
+
+    // Mark the data fetching process as running, until the whole poll has finished
+    this.isGettingData = true;
+    try {
+      await this.batchCapabilityChanges(() => runRefreshPlan(this.getPollPlan(), { label: 'Poll', logMessage: this.logMessage.bind(this) }));
+    } finally {
+      this.isGettingData = false;
+    }
+  }
+
+  /********************************************************************************************
+   * Returns the steps of a poll: the status of the chargepoint first, then the charging
+   * sessions of every connector in parallel, then the totals and energy of the connectors.
+   * The sessions are read also when the status cannot be, with the connector status of the
+   * last poll.
+   *
+   * @returns {Array<Array<RefreshStep>>}
+   *******************************************************************************************/
+  getPollPlan() {
+    return [
+      [{ name: 'status', run: () => this.getStatusInfo() }],
+      this.connectors.map((connector) => ({ name: `sessions ${connector.label}`, run: () => this.getChargingInfo(connector) })),
+      [
+        { name: 'totals', run: () => this.updateTotals() },
+        { name: 'energy', run: () => this.updateEnergy() },
+      ],
+    ];
+  }
+
+  /********************************************************************************************
+   * Fetches the chargepoint status from ChargeAmps and updates the "car connected" state and
+   * the current, voltage and power of every phase of every connector, triggering the flow
+   * cards of the status changes.
+   *
+   * @async
+   * @returns {Promise<void>}
+   * @throws {ChargeAmpsError} When the status cannot be read, after it has been reported.
+   *******************************************************************************************/
+  async getStatusInfo() {
+    let chargePointStatus;
+    try {
+      // API request to get charge point status, in the batch of the account
+      const { status, polledAt } = await this.poller.getStatus(this.chargeAmpsId, { signal: this.abortController.signal });
+      chargePointStatus = status;
+      await this.reportApiSuccess(polledAt);
+    } catch (error) {
+      await this.reportApiError(error);
+      throw error;
+    }
+
+    // Log full API response if debug level is set to 'full'
+    this.logMessage('full', `${this.model.name} Status data received from ChargeAmps API:`, JSON.stringify(chargePointStatus, null, 2));
+
+    // The connectors listed in the status are the ones this account can read
+    this.readableConnectorIds = chargePointStatus.connectorStatuses.map((connectorStatus) => connectorStatus.connectorId);
+    await this.onReadableConnectors(this.readableConnectorIds);
+
+    for (const connector of this.connectors) {
+      const connectorStatus = this.findConnectorStatus(chargePointStatus, connector);
+      if (!connectorStatus) {
+        this.logMessage('normal', `No status received for ${connector.label}, the account may not have access to it`);
+        continue;
+      }
+
+      connector.applyStatus(connectorStatus);
+      this.logMessage('trace', `API response: ${connector.label} status = ${connector.status}, nowConsumptionKwh = ${connector.nowConsumptionKwh}`);
+      await this.updateCarConnected(connector);
+      await this.updateCapabilities(connector.phaseValues());
+    }
+  }
+
+  /********************************************************************************************
+   * Returns the status of a connector from the chargepoint status, matched by `connectorId`,
+   * as the order of the list is not guaranteed and only lists the connectors the account can
+   * read.
+   *
+   * @param {ChargePointStatus} chargePointStatus - The status of the chargepoint.
+   * @param {Connector} connector - The connector.
+   * @returns {ConnectorStatus|undefined} Undefined when the connector is not listed.
+   *******************************************************************************************/
+  findConnectorStatus(chargePointStatus, connector) {
+    return chargePointStatus.connectorStatuses.find((connectorStatus) => connectorStatus.connectorId === connector.connectorId);
+  }
+
+  /********************************************************************************************
+   * Called on every poll with the connectors the account can read. Nothing to do for models
+   * where the account always has access to the whole chargepoint.
+   *
+   * @param {Array<number>} connectorIds - The readable connector numbers.
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async onReadableConnectors(connectorIds) {}
+
+  /********************************************************************************************
+   * Updates the "car connected" capability of a connector from its status and triggers the
+   * flow card of the change (connected, disconnected, charging or charging completed).
+   *
+   * @param {Connector} connector - The connector.
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async updateCarConnected(connector) {
+    const capability = connector.capabilities.carConnected;
+    const change = connector.carConnectedChange(this.getCapabilityValue(capability), connector.status);
+    if (!change) {
+      return;
+    }
+
+    if (change.trigger) {
+      this.triggerFlow(connector.card(change.trigger));
+    }
+    await this.updateCapabilities({ [capability]: change.value });
+  }
+
+  /********************************************************************************************
+   * Fetches the latest charging sessions of a connector from ChargeAmps and updates its
+   * charging power, meter, and last and current session. A charger that is turned off is not
+   * charging, so only its power is reset.
+   *
+   * @async
+   * @function getChargingInfo
+   * @param {Connector} connector - The connector.
+   * @returns {Promise<void>} A promise that resolves when the charging information has been fetched and processed.
+   *******************************************************************************************/
+  async getChargingInfo(connector) {
+    // Nothing to add up until the status of the connector has been read
+    if (connector.status === null) {
+      return;
+    }
+
+    if (!this.getCapabilityValue(connector.capabilities.onoff)) {
+      this.logMessage('normal', `${connector.label} is OFF, skipping API call that collects charging data.`);
+      await this.updateCapabilities({ [connector.capabilities.measure]: 0 });
+      return;
+    }
+
+    // The sessions of the connector only, so those of another connector never show up here
+    this.logMessage('normal', `Fetching ${this.model.name} ${connector.label} charging info from ChargeAmps API...`);
+    const sessions = await this.api.getChargingSessions(this.chargeAmpsId, { connectorId: connector.connectorId, signal: this.abortController.signal });
+    this.logMessage('full', `${this.model.name} ${connector.label} charging data received from API response:`, JSON.stringify(sessions, null, 2));
+
+    await this.updateChargingInfo(connector, sessions);
+  }
+
+  /********************************************************************************************
+   * Updates the power, meter, and last and current session capabilities of a connector.
+   *
+   * @param {Connector} connector - The connector.
+   * @param {Array<ChargingSession>} sessions - The latest charging sessions, newest first.
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async updateChargingInfo(connector, sessions) {
+    const { measure, meter, lastCharged, nowCharged } = connector.capabilities;
+    const meterChargingKWH = connector.advanceMeter(this.getCapabilityValue(meter));
+    const chargingInfo = connector.lastCharged(sessions);
+    const power = connector.nowConsumptionKwh === 0 ? 0 : (connector.chargingConsumptionKwh || 0);
+    const nowConsumption = connector.nowConsumptionKwh != null ? connector.nowConsumptionKwh.toFixed(2) : '0';
+
+    await this.updateCapabilities({
+      [measure]: power,
+      [meter]: meterChargingKWH,
+      [lastCharged]: chargingInfo,
+      [nowCharged]: nowConsumption,
+    });
+
+    this.logMessage('trace', `${connector.label}: ${measure} = ${power}, ${meter} = ${meterChargingKWH}, ${lastCharged} = ${chargingInfo}, ${nowCharged} = ${nowConsumption}`);
+  }
+
+  /********************************************************************************************
+   * Updates capabilities that combine the connectors, after the charging info of every
+   * connector has been read. Nothing to do for models with one connector.
+   *
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async updateTotals() {}
+
+  /********************************************************************************************
+   * Updates the standard `measure_power` (W) and `meter_power` (kWh) capabilities that Homey
+   * Energy reads, from the power and meter of the connectors in use. Devices that had only
+   * the meters of the connectors start from their sum, so no re-pair is needed.
+   *
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async updateEnergy() {
+    let power = 0;
+    let meter = 0;
+    for (const connector of this.connectors) {
+      power += this.getCapabilityValue(connector.capabilities.measure) || 0;
+      meter += this.getCapabilityValue(connector.capabilities.meter) || 0;
+    }
+
+    // The connectors report kW, Homey Energy expects W
+    await this.updateCapabilities({
+      measure_power: Math.round(power * 1000),
+      meter_power: Number(meter.toFixed(3)),
+    });
+  }
+
+  /********************************************************************************************
+   * Collects the data that rarely changes: runs the hourly plan, see getHourlyPlan. The
+   * charging sessions are left to the poll.
+   *
+   * @async
+   * @returns {Promise<void>}
+   * @throws {ChargeAmpsError} When the chargepoints of the account cannot be listed.
+   *******************************************************************************************/
+  async getHourlyData() {
+    await this.batchCapabilityChanges(() => runRefreshPlan(this.getHourlyPlan(), { label: 'Hourly refresh', logMessage: this.logMessage.bind(this) }));
+  }
+
+  /********************************************************************************************
+   * Returns the stages of the hourly refresh: one stage with the steps of getHourlySteps,
+   * which are listed when it starts.
+   *
+   * @returns {Array<Array<RefreshStep>|Function>}
+   *******************************************************************************************/
+  getHourlyPlan() {
+    return [() => this.getHourlySteps()];
+  }
+
+  /********************************************************************************************
+   * Returns the steps of the hourly refresh, which run in parallel: the chargepoint info
+   * (required, as it shows whether the account can be reached at all), the lights and the
+   * settings of every connector.
+   *
+   * @returns {Array<RefreshStep>}
+   *******************************************************************************************/
+  getHourlySteps() {
+    return [
+      { name: 'chargepoint', run: () => this.getOwnedChargepointsInfo(), required: true },
+      { name: 'lights', run: () => this.getLightinfo() },
+      ...this.connectors.map((connector) => ({ name: `settings ${connector.label}`, run: () => this.getChargerInfo(connector) })),
+    ];
+  }
+
+  /********************************************************************************************
+   * Fetches information about owned chargepoints from the ChargeAmps API.
+   *
+   * This method makes an API call to the `/chargepoints/owned` endpoint to retrieve data about
+   * the chargepoints owned by the user. It then finds the chargepoint that matches the current
+   * device's ID, and updates the device's firmware version and OCPP/CAPI version accordingly.
+   *
+   * @async
+   * @returns {Promise<void>} A promise that resolves when the operation is complete.
+   * @throws {ChargeAmpsError} When the chargepoints cannot be listed.
+   *******************************************************************************************/
+  async getOwnedChargepointsInfo() {
+    // Log API request initiation
+    this.logMessage('normal', 'Fetching owned chargepoints info from ChargeAmps API...');
+
+    // API request to get owned chargepoints
+    const chargepoints = await this.poller.getOwnedChargepoints({ signal: this.abortController.signal });
+
+    // Log full API response if debug level is set to 'full'
+    this.logMessage('full', 'Owned chargepoints data received from API response:', JSON.stringify(chargepoints, null, 2));
+
+    if (Array.isArray(chargepoints) && chargepoints.length > 0) {
+      // Search for the device with the matching chargeAmpsId
+      const matchedDevice = chargepoints.find((device) => device.id === this.chargeAmpsId);
+
+      if (matchedDevice) {
+        // Store the firmware version and OCPP/CAPI version from the API response
+        this.firmwareVersion = matchedDevice.firmwareVersion;
+        this.ocppVersion = matchedDevice.ocppVersion === null ? 'CAPI' : 'OCPP';
+        this.logMessage('trace', `API response: Firmware version = ${this.firmwareVersion}, OCPP/CAPI version = ${this.ocppVersion}`);
+
+        await this.updateCapabilities({
+          [this.capability('FW')]: this.firmwareVersion,
+          [this.capability('Version')]: this.ocppVersion,
+        });
+      } else {
+        // Log if no matching device was found
+        this.logMessage('error', `No matching device found for chargeAmpsId: ${this.chargeAmpsId}`);
+      }
+    } else {
+      // Log if the response does not contain any chargepoints
+      this.logMessage('error', 'No chargepoints found in the API response');
+    }
+  }
+
+  /********************************************************************************************
+   * Fetches the chargepoint settings (lights) from ChargeAmps and updates the LED ring.
+   *
+   * @async
+   * @function getLightinfo
+   * @returns {Promise<void>} A promise that resolves when the operation is complete.
+   *******************************************************************************************/
+  async getLightinfo() {
+    if (!this.hasLedRing()) {
+      return;
+    }
+
+    // Log API request initiation
+    this.logMessage('normal', `Fetching ${this.model.name} lights info from ChargeAmps API...`);
+
+    // API request to get light settings
+    const chargePointSettings = await this.api.getChargepointSettings(this.chargeAmpsId, { signal: this.abortController.signal });
+
+    // Log full API response if debug level is set to 'full'
+    this.logMessage('full', `${this.model.name} Light data received from API response:`, JSON.stringify(chargePointSettings, null, 2));
+
+    await this.applyChargepointSettings(chargePointSettings);
+  }
+
+  /********************************************************************************************
+   * Updates the capabilities from the chargepoint settings.
+   *
+   * @param {ChargePointSettings} chargePointSettings - The chargepoint settings from ChargeAmps.
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  async applyChargepointSettings(chargePointSettings) {
+    this.statusLEDring = chargePointSettings.dimmer;
+    this.logMessage('trace', `API response: statusLEDring = ${this.statusLEDring}`);
+
+    await this.updateCapabilities({
+      [this.capability('LEDringStatus')]: this.statusLEDring,
+      [this.capability('LEDringButton')]: this.statusLEDring,
+    });
+  }
+
+  /********************************************************************************************
+   * Fetches the settings of a connector from ChargeAmps and updates its on/off, current
+   * limit, RFID and cable lock capabilities.
+   *
+   * @async
+   * @function getChargerInfo
+   * @param {Connector} connector - The connector.
+   * @returns {Promise<void>} A promise that resolves when the charger information has been fetched and capabilities updated.
+   *******************************************************************************************/
+  async getChargerInfo(connector) {
+    // Log API request initiation
+    this.logMessage('normal', `Fetching ${this.model.name} ${connector.label} info from ChargeAmps API...`);
+    const connectorSettings = await this.api.getConnectorSettings(this.chargeAmpsId, connector.connectorId, { signal: this.abortController.signal });
+
+    // Log full API response if debug level is 'full'
+    this.logMessage('full', `${this.model.name} ${connector.label} data received from API response:`, JSON.stringify(connectorSettings, null, 2));
+
+    connector.applySettings(connectorSettings);
+    this.logMessage('trace', `API response: ${connector.label} maxCurrent = ${connector.current}, mode = ${connector.mode}, rfidLock = ${connector.rfidLock}, cableLock = ${connector.cableLock}`);
+
+    const { capabilities } = connector;
+    await this.updateCapabilities({
+      [capabilities.chargerStatus]: connector.mode,
+      [capabilities.onoff]: connector.mode === 'On',
+      [capabilities.currentLimit]: connector.current,
+      [capabilities.rfidStatus]: connector.rfidLock ? 'On' : 'Off',
+      [capabilities.rfidButton]: connector.rfidLock,
+      ...(connector.hasCableLock ? {
+        [capabilities.cableLockStatus]: connector.cableLock ? 'On' : 'Off',
+        [capabilities.cableLockButton]: connector.cableLock,
+      } : {}),
+    });
+  }
+
+}
+
+module.exports = ChargeAmpsDevice;
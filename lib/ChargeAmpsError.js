@@ -0,0 +1,121 @@
+'use strict';
+
+/********************************************************************************************
+ * ChargeAmpsError is thrown by the API client. Its message is written for the user, so a
+ * device can show it as the reason it is unavailable.
+ *
+ * @class ChargeAmpsError
+ * @extends Error
+ *
+ * @property {string} code - One of the ChargeAmpsError.CODES values.
+ * @property {number|null} status - The HTTP status returned by the API, if any.
+ * @property {Error|null} cause - The original error.
+ *******************************************************************************************/
+class ChargeAmpsError extends Error {
+
+  /********************************************************************************************
+   * @param {string} message - The user readable reason.
+   * @param {Object} [options]
+   * @param {string} [options.code='HTTP'] - One of the ChargeAmpsError.CODES values.
+   * @param {number|null} [options.status=null] - The HTTP status returned by the API.
+   * @param {Error|null} [options.cause=null] - The original error.
+   *******************************************************************************************/
+  constructor(message, { code = ChargeAmpsError.CODES.HTTP, status = null, cause = null } = {}) {
+    super(message);
+    this.name = 'ChargeAmpsError';
+    this.code = code;
+    this.status = status;
+    this.cause = cause;
+  }
+
+  /********************************************************************************************
+   * Returns true when the error can only be solved by the user changing the app settings,
+   * so retrying with the same credentials is pointless.
+   *
+   * @returns {boolean}
+   *******************************************************************************************/
+  isCredentialError() {
+    return this.code === ChargeAmpsError.CODES.MISSING_CREDENTIALS
+      || this.code === ChargeAmpsError.CODES.AUTH_FAILED;
+  }
+
+  /********************************************************************************************
+   * Returns true when the error means the ChargeAmps cloud itself is in trouble (no answer,
+   * or a server error). Only these errors count towards opening the circuit breaker.
+   *
+   * @returns {boolean}
+   *******************************************************************************************/
+  isOutage() {
+    return this.code === ChargeAmpsError.CODES.TIMEOUT
+      || this.code === ChargeAmpsError.CODES.UNREACHABLE
+      || (this.code === ChargeAmpsError.CODES.HTTP && this.status >= 500);
+  }
+
+  /********************************************************************************************
+   * Creates the error for credentials that were rejected by ChargeAmps.
+   *
+   * @param {Error} error - The original error.
+   * @returns {ChargeAmpsError}
+   *******************************************************************************************/
+  static authFailed(error) {
+    return new ChargeAmpsError('ChargeAmps rejected the email, password or API key. Please check the app settings.', {
+      code: ChargeAmpsError.CODES.AUTH_FAILED,
+      status: error && error.response ? error.response.status : null,
+      cause: error,
+    });
+  }
+
+  /********************************************************************************************
+   * Converts any error thrown while talking to the API (usually an Axios error) into a
+   * ChargeAmpsError. ChargeAmpsErrors are returned unchanged.
+   *
+   * @param {Error} error - The error to convert.
+   * @returns {ChargeAmpsError}
+   *******************************************************************************************/
+  static from(error) {
+    if (error instanceof ChargeAmpsError) {
+      return error;
+    }
+
+    const { CODES } = ChargeAmpsError;
+    const status = error && error.response ? error.response.status : null;
+
+    if (error && error.code === 'ERR_CANCELED') {
+      return new ChargeAmpsError('The request to ChargeAmps was aborted.', { code: CODES.ABORTED, cause: error });
+    }
+    if (status === 401) {
+      return ChargeAmpsError.authFailed(error);
+    }
+    // Requests are replayed with a renewed session after a 403, so a 403 that is left means
+    // the account may not use the charger or port, e.g. a shared AURA port
+    if (status === 403) {
+      return new ChargeAmpsError('ChargeAmps refused access to this charger or port (HTTP 403). Please check that the account may use it.', { code: CODES.FORBIDDEN, status, cause: error });
+    }
+    if (status) {
+      return new ChargeAmpsError(`The ChargeAmps cloud answered with an error (HTTP ${status}).`, { code: CODES.HTTP, status, cause: error });
+    }
+    if (error && (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT')) {
+      return new ChargeAmpsError('The ChargeAmps cloud did not answer in time.', { code: CODES.TIMEOUT, cause: error });
+    }
+    if (error && error.request) {
+      return new ChargeAmpsError('The ChargeAmps cloud could not be reached.', { code: CODES.UNREACHABLE, cause: error });
+    }
+    return new ChargeAmpsError((error && error.message) || 'Unknown error while talking to ChargeAmps.', { code: CODES.UNKNOWN, cause: error });
+  }
+
+}
+
+/** @enum {string} */
+ChargeAmpsError.CODES = Object.freeze({
+  MISSING_CREDENTIALS: 'MISSING_CREDENTIALS',
+  AUTH_FAILED: 'AUTH_FAILED',
+  FORBIDDEN: 'FORBIDDEN',
+  TIMEOUT: 'TIMEOUT',
+  UNREACHABLE: 'UNREACHABLE',
+  HTTP: 'HTTP',
+  CIRCUIT_OPEN: 'CIRCUIT_OPEN',
+  ABORTED: 'ABORTED',
+  UNKNOWN: 'UNKNOWN',
+});
+
+module.exports = ChargeAmpsError;
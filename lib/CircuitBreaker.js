@@ -0,0 +1,124 @@
+'use strict';
+
+const STATES = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open',
+});
+
+/********************************************************************************************
+ * CircuitBreaker protects the ChargeAmps cloud from being hammered during an outage.
+ *
+ * One breaker exists per account. It opens after `failureThreshold` failed requests in a
+ * row; while it is open every request is refused right away. Once every `probeInterval`
+ * a single request is let through as a probe: when it succeeds the breaker closes again,
+ * when it fails the breaker stays open for another interval.
+ *
+ * @class CircuitBreaker
+ *
+ * @property {number} failureThreshold - Failures in a row that open the breaker.
+ * @property {number} probeInterval - Time in ms between probes while the breaker is open.
+ * @property {string} state - 'closed', 'open' or 'half-open'.
+ * @property {number} failures - The number of failures in a row.
+ * @property {number|null} openedAt - When the breaker last opened (ms since epoch).
+ * @property {number|null} nextProbeAt - When the next probe is allowed (ms since epoch).
+ *******************************************************************************************/
+class CircuitBreaker {
+
+  /********************************************************************************************
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold=5] - Failures in a row that open the breaker.
+   * @param {number} [options.probeInterval=300000] - Time in ms between probes while open.
+   * @param {Function} [options.logMessage] - Central log function, `(level, ...messages)`.
+   *******************************************************************************************/
+  constructor({ failureThreshold = 5, probeInterval = 5 * 60 * 1000, logMessage = () => {} } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.probeInterval = probeInterval;
+    this.logMessage = logMessage;
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.nextProbeAt = null;
+  }
+
+  /********************************************************************************************
+   * Returns true when a request may be sent. While the breaker is open this lets exactly one
+   * probe through once the probe interval has passed.
+   *
+   * @returns {boolean}
+   *******************************************************************************************/
+  allowRequest() {
+    if (this.state === STATES.CLOSED) {
+      return true;
+    }
+
+    if (this.state === STATES.OPEN && Date.now() >= this.nextProbeAt) {
+      this.state = STATES.HALF_OPEN;
+      this.logMessage('normal', 'Circuit breaker is half-open, sending a probe request to ChargeAmps');
+      return true;
+    }
+
+    return false;
+  }
+
+  /********************************************************************************************
+   * Records a successful request and closes the breaker.
+   *******************************************************************************************/
+  recordSuccess() {
+    if (this.state !== STATES.CLOSED) {
+      this.logMessage('normal', 'Circuit breaker closed, ChargeAmps is answering again');
+    }
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.nextProbeAt = null;
+  }
+
+  /********************************************************************************************
+   * Records a failed request and opens the breaker when the threshold is reached or when the
+   * probe failed.
+   *******************************************************************************************/
+  recordFailure() {
+    this.failures += 1;
+
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      if (this.state !== STATES.OPEN) {
+        this.logMessage('normal', `Circuit breaker opened after ${this.failures} failed requests in a row`);
+      }
+      this.state = STATES.OPEN;
+      this.openedAt = this.openedAt || Date.now();
+      this.nextProbeAt = Date.now() + this.probeInterval;
+    }
+  }
+
+  /********************************************************************************************
+   * Gives up the probe without an outcome (e.g. the request was aborted), so the next request
+   * can probe instead.
+   *******************************************************************************************/
+  cancelProbe() {
+    if (this.state === STATES.HALF_OPEN) {
+      this.state = STATES.OPEN;
+    }
+  }
+
+  /********************************************************************************************
+   * Returns a readable summary of the breaker, used in the device diagnostics.
+   *
+   * @returns {string}
+   *******************************************************************************************/
+  describe() {
+    switch (this.state) {
+      case STATES.OPEN:
+        return `Open since ${new Date(this.openedAt).toISOString()}, next probe at ${new Date(this.nextProbeAt).toISOString()}`;
+      case STATES.HALF_OPEN:
+        return 'Half-open, probing ChargeAmps';
+      default:
+        return this.failures > 0 ? `Closed (${this.failures} failed requests in a row)` : 'Closed';
+    }
+  }
+
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,62 @@
+'use strict';
+
+/********************************************************************************************
+ * CommandQueue serializes the settings writes of one chargepoint.
+ *
+ * Writes run one at a time, in the order they were queued. Changes queued for a target
+ * (e.g. connector 1) while an earlier write for the same target is still waiting are
+ * merged into that write, so only one PUT is sent with all pending changes. Every caller
+ * gets back the promise of the write that actually carried its change.
+ *
+ * @class CommandQueue
+ *
+ * @property {Function} logMessage - Central log function, `(level, ...messages)`.
+ * @property {Function} onWrite - Called with the target after every write, also a failed one.
+ * @property {Map<string, Object>} pending - The queued, not yet started write per target.
+ * @property {Promise<void>} tail - Settles when the last queued write has finished.
+ *******************************************************************************************/
+class CommandQueue {
+
+  /********************************************************************************************
+   * @param {Object} [options]
+   * @param {Function} [options.logMessage] - Central log function, `(level, ...messages)`.
+   * @param {Function} [options.onWrite] - Called with the target after every write, also a failed one.
+   *******************************************************************************************/
+  constructor({ logMessage = () => {}, onWrite = () => {} } = {}) {
+    this.logMessage = logMessage;
+    this.onWrite = onWrite;
+    this.pending = new Map();
+    this.tail = Promise.resolve();
+  }
+
+  /********************************************************************************************
+   * Queues changes for a target.
+   *
+   * @param {string} target - What the changes apply to, e.g. 'connector1' or 'chargepoint'.
+   * @param {Object} changes - The fields to change.
+   * @param {Function} write - Called with all merged changes once it is this write's turn.
+   * @returns {Promise<any>} Settles with the outcome of the write that carried the changes.
+   *******************************************************************************************/
+  enqueue(target, changes, write) {
+    const waiting = this.pending.get(target);
+    if (waiting) {
+      Object.assign(waiting.changes, changes);
+      this.logMessage('trace', `Merged changes into the queued write for ${target}:`, JSON.stringify(waiting.changes));
+      return waiting.promise;
+    }
+
+    const entry = { changes: { ...changes } };
+    entry.promise = this.tail.then(() => {
+      // From here on new changes need a write of their own
+      this.pending.delete(target);
+      return write(entry.changes);
+    }).finally(() => this.onWrite(target));
+
+    this.pending.set(target, entry);
+    this.tail = entry.promise.catch(() => {});
+    return entry.promise;
+  }
+
+}
+
+module.exports = CommandQueue;
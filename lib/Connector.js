@@ -0,0 +1,244 @@
+'use strict';
+
+// Connector statuses that end a charge when the previous status was Charging
+const COMPLETED_STATUSES = ['Connected', 'SuspendedEV', 'Finishing'];
+
+// Connector statuses with a car that is plugged in but not charging
+const CONNECTED_STATUSES = ['Connected', 'SuspendedEV', 'SuspendedEVSE'];
+
+// The phases of a connector, as named in the measurements of the status
+const PHASES = ['L1', 'L2', 'L3'];
+
+// The value shown in the "car connected" capability, and the flow card triggered, per connector status
+const CAR_STATES = {
+  Available: { value: 'Disconnected', trigger: 'chargerDisconnected' },
+  Connected: { value: 'Connected', trigger: 'chargerConnected' },
+  Charging: { value: 'Charging', trigger: 'chargerCharging' },
+};
+
+/********************************************************************************************
+ * Connector models one charging connector (port) of a chargepoint: its capability and flow
+ * card names, and the last state read from ChargeAmps.
+ *
+ * The capability names follow the `<prefix><Name>` pattern of the app (e.g. `haloCarConnected`,
+ * `aura2RFIDStatus`), except where a model uses other names, which are passed as overrides.
+ * The current, voltage and power of every phase use the standard capabilities, with the phase
+ * as sub-capability (e.g. `measure_current.L1`, or `measure_current.aura2_L1` on a model with
+ * more connectors).
+ *
+ * @class Connector
+ *
+ * @property {number} connectorId - The connector number in the ChargeAmps API (1 or 2).
+ * @property {string} prefix - The prefix of the capability and flow card names, e.g. 'halo' or 'aura2'.
+ * @property {string} label - Name used in log messages, e.g. 'Charger 2'.
+ * @property {boolean} hasCableLock - Whether the connector has a cable lock.
+ * @property {boolean} hasSwitchCards - Whether the model has on/off flow cards for the connector.
+ * @property {string} currentLimitSetting - The device setting that holds the current limit.
+ * @property {Object<string, string>} capabilities - The capability names, by role.
+ * @property {Array<Object>} phaseCapabilities - The `{ phase, current, voltage, power }` capability names of every phase.
+ * @property {string|null} status - The connector status from ChargeAmps, e.g. 'Charging'.
+ * @property {number|null} current - The current limit (A).
+ * @property {string|number|null} mode - The charger mode, e.g. 'On' or 'Off'.
+ * @property {boolean|null} rfidLock - Whether RFID authorization is required.
+ * @property {boolean|null} cableLock - Whether the cable is locked.
+ * @property {number|null} nowConsumptionKwh - The energy charged in the running session (kWh).
+ * @property {number|null} chargingConsumptionKwh - The charging power (kW).
+ * @property {number|null} meterChargingKWH - The cumulative meter reading (kWh).
+ * @property {number|null} previousConsumptionKwh - `nowConsumptionKwh` at the previous poll, null before the first one.
+ * @property {Object<string, Measurement>} phaseMeasurements - The last measurement of every phase, by phase.
+ *******************************************************************************************/
+class Connector {
+
+  /********************************************************************************************
+   * @param {Object} options
+   * @param {number} options.connectorId - The connector number in the ChargeAmps API.
+   * @param {string} options.prefix - The prefix of the capability and flow card names.
+   * @param {boolean} [options.cableLock=false] - Whether the connector has a cable lock.
+   * @param {boolean} [options.switchCards=false] - Whether the model has on/off flow cards for the connector.
+   * @param {string} [options.currentLimitSetting='settingsCurrentLimit'] - The device setting that holds the current limit.
+   * @param {Object<string, string>} [options.capabilities] - Capability names that do not follow the prefix pattern.
+   * @param {string} [options.phasePrefix=''] - Put before the phase in the phase sub-capabilities, e.g. 'aura2_'.
+   *******************************************************************************************/
+  constructor({ connectorId, prefix, cableLock = false, switchCards = false, currentLimitSetting = 'settingsCurrentLimit', capabilities = {}, phasePrefix = '' }) {
+    this.connectorId = connectorId;
+    this.prefix = prefix;
+    this.label = `Charger ${connectorId}`;
+    this.hasCableLock = cableLock;
+    this.hasSwitchCards = switchCards;
+    this.currentLimitSetting = currentLimitSetting;
+    this.capabilities = {
+      onoff: 'onoff',
+      chargerStatus: `${prefix}ChargerStatus`,
+      carConnected: `${prefix}CarConnected`,
+      currentLimit: `${prefix}CurrentLimit`,
+      lastCharged: `${prefix}LastCharged`,
+      nowCharged: `${prefix}NowCharged`,
+      rfidStatus: `${prefix}RFIDStatus`,
+      rfidButton: `${prefix}RFIDButton`,
+      measure: `measure_${prefix}`,
+      meter: `meter_${prefix}`,
+      ...(cableLock ? { cableLockStatus: `${prefix}CableLockStatus`, cableLockButton: `${prefix}CableLockButton` } : {}),
+      ...capabilities,
+    };
+    this.phaseCapabilities = PHASES.map((phase) => ({
+      phase,
+      current: `measure_current.${phasePrefix}${phase}`,
+      voltage: `measure_voltage.${phasePrefix}${phase}`,
+      power: `measure_power.${phasePrefix}${phase}`,
+    }));
+
+    this.status = null;
+    this.current = null;
+    this.mode = null;
+    this.rfidLock = null;
+    this.cableLock = null;
+    this.nowConsumptionKwh = null;
+    this.chargingConsumptionKwh = null;
+    this.meterChargingKWH = null;
+    this.previousConsumptionKwh = null;
+    this.phaseMeasurements = {};
+  }
+
+  /********************************************************************************************
+   * Returns the name of a flow card of this connector, e.g. `card('chargerConnected')` gives
+   * 'aura1-chargerConnected'.
+   *
+   * @param {string} name - The card name without the prefix.
+   * @returns {string}
+   *******************************************************************************************/
+  card(name) {
+    return `${this.prefix}-${name}`;
+  }
+
+  /********************************************************************************************
+   * Stores the connector status from `/chargepoints/{id}/status` and works out the charging
+   * power from the measurements of the (up to three) phases.
+   *
+   * @param {ConnectorStatus} connectorStatus - The status of this connector.
+   *******************************************************************************************/
+  applyStatus(connectorStatus) {
+    this.status = connectorStatus.status;
+    this.nowConsumptionKwh = connectorStatus.totalConsumptionKwh;
+    this.phaseMeasurements = Object.fromEntries((connectorStatus.measurements || [])
+      .filter((measurement) => PHASES.includes(measurement.phase))
+      .map((measurement) => [measurement.phase, measurement]));
+
+    if (this.nowConsumptionKwh !== 0) {
+      const { measurements } = connectorStatus;
+      if (measurements && measurements.length > 0) {
+        const consumption = measurements.slice(0, 3).reduce((acc, measurement) => acc + measurement.current * measurement.voltage, 0);
+        this.chargingConsumptionKwh = consumption / 1000;
+      } else {
+        this.chargingConsumptionKwh = 0;
+      }
+    }
+  }
+
+  /********************************************************************************************
+   * Returns the current (A), voltage (V) and power (W) of every phase, by capability. A phase
+   * without a measurement, e.g. when the car charges on one phase, carries no current; its
+   * voltage is only known while it is measured.
+   *
+   * @returns {Object<string, number|null>}
+   *******************************************************************************************/
+  phaseValues() {
+    const values = {};
+    for (const { phase, current, voltage, power } of this.phaseCapabilities) {
+      const measurement = this.phaseMeasurements[phase];
+      values[current] = measurement ? measurement.current : 0;
+      values[voltage] = measurement ? measurement.voltage : null;
+      values[power] = measurement ? Math.round(measurement.current * measurement.voltage) : 0;
+    }
+    return values;
+  }
+
+  /********************************************************************************************
+   * Stores the connector settings from `/chargepoints/{id}/connectors/{n}/settings`.
+   *
+   * @param {ConnectorSettings} connectorSettings - The settings of this connector.
+   *******************************************************************************************/
+  applySettings(connectorSettings) {
+    this.current = connectorSettings.maxCurrent;
+    this.mode = connectorSettings.mode;
+    this.rfidLock = connectorSettings.rfidLock;
+    this.cableLock = connectorSettings.cableLock;
+  }
+
+  /********************************************************************************************
+   * Works out how often the connector needs to be polled: 'charging' while a car charges,
+   * 'connected' while a car is plugged in, and 'idle' when it is available or switched off.
+   *
+   * @returns {string} 'charging', 'connected' or 'idle'.
+   *******************************************************************************************/
+  pollState() {
+    if (this.mode === 'Off') {
+      return 'idle';
+    }
+    if (this.status === 'Charging') {
+      return 'charging';
+    }
+    return CONNECTED_STATUSES.includes(this.status) ? 'connected' : 'idle';
+  }
+
+  /********************************************************************************************
+   * Works out how the "car connected" capability changes for a new connector status.
+   *
+   * A charge is completed when the status goes from Charging to Connected, SuspendedEV or
+   * Finishing. Otherwise Available, Connected and Charging have their own value and flow card,
+   * and any other status is shown as is.
+   *
+   * @param {string|null} currentValue - The value the capability has now.
+   * @param {string} status - The new connector status from ChargeAmps.
+   * @returns {{ value: string, trigger: string|null }|null} The new value and the flow card
+   *   to trigger (without prefix), or null when nothing changes.
+   *******************************************************************************************/
+  carConnectedChange(currentValue, status) {
+    if (currentValue === 'Charging' && COMPLETED_STATUSES.includes(status)) {
+      return { value: status === 'Finishing' ? 'Finishing' : 'Connected', trigger: 'chargerChargingCompleted' };
+    }
+
+    const state = CAR_STATES[status] || { value: status, trigger: null };
+    return state.value === currentValue ? null : state;
+  }
+
+  /********************************************************************************************
+   * Adds the energy charged since the previous poll to the meter. The meter only goes up, as
+   * Homey Energy expects:
+   *
+   * - The first status after a restart, or after the connector was created again, only sets
+   *   the starting point: the energy of the running session up to then is on the meter already.
+   * - When the session energy dropped, a new session started since the previous poll, and the
+   *   energy of the new session is added.
+   *
+   * @param {number|null} meter - The current meter reading (kWh).
+   * @returns {number} The new meter reading (kWh).
+   *******************************************************************************************/
+  advanceMeter(meter) {
+    this.meterChargingKWH = meter === null || Number.isNaN(meter) ? 0 : meter;
+    if (this.nowConsumptionKwh === null) {
+      return this.meterChargingKWH;
+    }
+
+    if (this.previousConsumptionKwh !== null) {
+      const charged = this.nowConsumptionKwh - this.previousConsumptionKwh;
+      this.meterChargingKWH += charged >= 0 ? charged : this.nowConsumptionKwh;
+    }
+    this.previousConsumptionKwh = this.nowConsumptionKwh;
+    return this.meterChargingKWH;
+  }
+
+  /********************************************************************************************
+   * Picks the energy of the last finished session from the latest sessions. While charging the
+   * running session comes first, so the finished one is the second.
+   *
+   * @param {Array<ChargingSession>} sessions - The latest charging sessions, newest first.
+   * @returns {string} The energy with two decimals, or '0' when there is no such session.
+   *******************************************************************************************/
+  lastCharged(sessions) {
+    const session = sessions && sessions[this.nowConsumptionKwh === 0 ? 0 : 1];
+    return session && session.totalConsumptionKwh != null ? session.totalConsumptionKwh.toFixed(2) : '0';
+  }
+
+}
+
+module.exports = Connector;
@@ -0,0 +1,19 @@
+'use strict';
+
+/********************************************************************************************
+ * Calculates the delay before the next attempt after a number of failures in a row, using
+ * capped exponential backoff with full jitter. The delay doubles with every failure up to
+ * `max`, and a random part of it is used so devices do not retry at the same moment.
+ *
+ * @param {number} failures - The number of failed attempts in a row (1 for the first failure).
+ * @param {Object} options
+ * @param {number} options.base - The delay in ms after the first failure.
+ * @param {number} options.max - The upper limit of the delay in ms.
+ * @returns {number} The delay in ms, between `base` and `max`.
+ *******************************************************************************************/
+function backoffDelay(failures, { base, max }) {
+  const ceiling = Math.min(max, base * (2 ** Math.max(0, failures - 1)));
+  return Math.round(base + Math.random() * (ceiling - base));
+}
+
+module.exports = { backoffDelay };
@@ -0,0 +1,61 @@
+'use strict';
+
+const util = require('util');
+
+// The debug levels, from quiet to verbose. Errors are always logged.
+const DEBUG_LEVELS = ['off', 'normal', 'trace', 'full'];
+
+// Shown instead of a secret
+const REDACTED = '[REDACTED]';
+
+// The names of values that are masked, in text (`Token = abc`), JSON and logged objects
+const SECRET_KEYS = ['token', 'refreshToken', 'accessToken', 'apiKey', 'password', 'authorization', 'rfidTag', 'rfidTagId', 'rfidId', 'tagId', 'idTag'];
+
+const SECRET_VALUE = new RegExp(`\\b(${SECRET_KEYS.join('|')})(["']?\\s*[=:]\\s*["']?)(?!Bearer\\b|\\[REDACTED\\])[^\\s"',}\\]]+`, 'gi');
+const BEARER = /\bBearer\s+[\w\-.~+/]+=*/gi;
+const JWT = /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+const EMAIL = /[\w.%+-]+@[\w.-]+\.[a-z]{2,}/gi;
+
+/********************************************************************************************
+ * Masks bearer tokens, JWTs, refresh tokens, API keys, passwords, emails and RFID tag IDs in
+ * a log line.
+ *
+ * @param {string} text - The log line.
+ * @returns {string}
+ *******************************************************************************************/
+function redact(text) {
+  return text
+    .replace(BEARER, `Bearer ${REDACTED}`)
+    .replace(JWT, REDACTED)
+    .replace(SECRET_VALUE, (match, key, separator) => `${key}${separator}${REDACTED}`)
+    .replace(EMAIL, REDACTED);
+}
+
+/********************************************************************************************
+ * The logging layer behind every `logMessage()`: writes the messages when the debug level
+ * allows it, with the secrets masked. The messages are formatted into one line first, so
+ * objects, errors (with the request headers of an Axios error) and a secret passed as its own
+ * argument (`'Token = ', token`) are masked too.
+ *
+ * @param {Function} log - Writes the line, e.g. the `log` method of the app or device.
+ * @param {string} debugLevel - The debug level chosen by the user, defaults to 'normal'.
+ * @param {string} level - The level of the message: 'off', 'normal', 'trace', 'full', or 'error'.
+ * @param {Array<any>} messages - The messages to log.
+ *******************************************************************************************/
+function writeLog(log, debugLevel, level, messages) {
+  const currentLevelIndex = DEBUG_LEVELS.indexOf(debugLevel || 'normal');
+  const levelIndex = DEBUG_LEVELS.indexOf(level);
+
+  // Always log error messages, regardless of the debug level
+  if (level === 'error') {
+    log('[ERROR]', redact(util.format(...messages)));
+    return;
+  }
+
+  // Log based on the selected debug level
+  if (levelIndex <= currentLevelIndex && currentLevelIndex > 0) {
+    log(redact(util.format(...messages)));
+  }
+}
+
+module.exports = { redact, writeLog };
@@ -0,0 +1,115 @@
+'use strict';
+
+const ChargeAmpsError = require('./ChargeAmpsError');
+
+// Shown when the pairing continues without an API key
+const MISSING_API_KEY = 'Please enter the API key you received from ChargeAmps support.';
+
+/********************************************************************************************
+ * Registers the account steps of the pairing flow that every driver shares:
+ *
+ *   select_account -> api_key -> login_credentials -> list_devices -> add_devices
+ *
+ * The `select_account` view lists the accounts of the app. Choosing one continues with
+ * `list_devices`, adding another account continues with the login steps. It is skipped when
+ * the app has no account yet.
+ *
+ * The `api_key` view sends the API key, the `login_credentials` template sends the email and
+ * password. Together they are checked against ChargeAmps and saved as an account of the app,
+ * see ChargeAmpsApp.loginAccount. A repair uses only the login steps, as a changed password is
+ * a reason to repair.
+ *
+ * @param {Homey.Driver} driver - The driver that is pairing.
+ * @param {PairSession} session - The pairing or repair session.
+ * @returns {{ id: string|null }} The account chosen or logged in to, filled in by the steps.
+ *******************************************************************************************/
+function registerLoginHandlers(driver, session) {
+  const account = { id: null };
+  let apiKey = null;
+
+  session.setHandler('showView', async (viewId) => {
+    if (viewId === 'select_account' && driver.homey.app.getAccounts().length === 0) {
+      driver.log('No ChargeAmps account yet, continuing with the login steps');
+      await session.showView('api_key');
+    }
+  });
+
+  session.setHandler('list_accounts', async () => driver.homey.app.getAccounts());
+
+  session.setHandler('select_account', async (accountId) => {
+    if (!driver.homey.app.getAccounts().some(({ id }) => id === accountId)) {
+      throw new Error('This ChargeAmps account does not exist.');
+    }
+    account.id = accountId;
+    return true;
+  });
+
+  session.setHandler('api_key', async (value) => {
+    apiKey = typeof value === 'string' ? value.trim() : '';
+    if (!apiKey) {
+      throw new Error(MISSING_API_KEY);
+    }
+    return true;
+  });
+
+  session.setHandler('login', async ({ username, password }) => {
+    if (!apiKey) {
+      throw new Error(MISSING_API_KEY);
+    }
+
+    try {
+      account.id = await driver.homey.app.loginAccount({ email: (username || '').trim(), password, apiKey });
+      return true;
+    } catch (error) {
+      driver.error('Error logging in while pairing:', error.message);
+      const chargeAmpsError = ChargeAmpsError.from(error);
+      if (chargeAmpsError.isCredentialError()) {
+        throw new Error('ChargeAmps rejected the email, password or API key. Please check them and try again.');
+      }
+      throw chargeAmpsError;
+    }
+  });
+
+  return account;
+}
+
+/********************************************************************************************
+ * Registers the steps of a repair that choose the chargepoint an existing Homey device
+ * controls, after the login steps:
+ *
+ *   api_key -> login_credentials -> select_chargepoint
+ *
+ * The `select_chargepoint` view lists the chargepoints of the driver's model on the account
+ * logged in to and sends the chosen one. The device keeps its capabilities, Insights and flows.
+ *
+ * @param {Homey.Driver} driver - The driver of the device.
+ * @param {PairSession} session - The repair session.
+ * @param {ChargeAmpsDevice} device - The device being repaired.
+ * @param {{ id: string|null }} account - The account logged in to, see registerLoginHandlers.
+ *******************************************************************************************/
+function registerRebindHandlers(driver, session, device, account) {
+  let chargepoints = [];
+
+  session.setHandler('list_chargepoints', async () => {
+    chargepoints = await driver.onPairListDevices(account.id);
+    return chargepoints.map(({ name, data }) => ({
+      id: data.id,
+      name,
+      current: data.id === device.chargeAmpsId,
+    }));
+  });
+
+  session.setHandler('select_chargepoint', async (chargePointId) => {
+    if (!chargepoints.some(({ data }) => data.id === chargePointId)) {
+      throw new Error('This chargepoint is not available on the ChargeAmps account.');
+    }
+    if (driver.getDevices().some((other) => other !== device && other.chargeAmpsId === chargePointId)) {
+      throw new Error('This chargepoint is already controlled by another device in Homey.');
+    }
+
+    await device.rebind(chargePointId, account.id);
+    return true;
+  });
+}
+
+module.exports = { registerLoginHandlers, registerRebindHandlers };
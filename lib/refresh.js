@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * @typedef {Object} RefreshStep
+ * @property {string} name - The name of the step, used in the log.
+ * @property {Function} run - Fetches and applies one piece of data, returns a promise.
+ * @property {boolean} [required=false] - Whether the refresh fails when this step fails.
+ */
+
+/**
+ * @typedef {Object} RefreshResult
+ * @property {string} name - The name of the step.
+ * @property {number} duration - How long the step took, in ms.
+ * @property {boolean} required - Whether the refresh fails when this step fails.
+ * @property {Error|null} error - Why the step failed, null when it succeeded.
+ */
+
+/********************************************************************************************
+ * Runs a refresh plan: a list of stages, each a list of steps. The steps of a stage run in
+ * parallel, a stage starts when the previous one has finished. A stage that depends on an
+ * earlier one can be a function that returns its steps when the stage starts. A step that
+ * fails is logged and does not stop the other steps; the timing of every step is logged too.
+ *
+ * @param {Array<Array<RefreshStep>|Function>} plan - The stages of the refresh.
+ * @param {Object} options
+ * @param {string} options.label - What is refreshed, used in the log, e.g. 'Hourly refresh'.
+ * @param {Function} options.logMessage - Central log function, `(level, ...messages)`.
+ * @returns {Promise<Array<RefreshResult>>} The result of every step, in the order of the plan.
+ * @throws {Error} The error of the first required step that failed, after all steps ran.
+ *******************************************************************************************/
+async function runRefreshPlan(plan, { label, logMessage }) {
+  const startTime = Date.now();
+  const results = [];
+
+  for (const stage of plan) {
+    const steps = typeof stage === 'function' ? stage() : stage;
+    results.push(...await Promise.all(steps.map((step) => runStep(step, { label, logMessage }))));
+  }
+
+  const failed = results.filter((result) => result.error);
+  logMessage('normal', `${label} finished in ${Date.now() - startTime} ms, ${failed.length} of ${results.length} steps failed`);
+
+  const requiredFailure = failed.find((result) => result.required);
+  if (requiredFailure) {
+    throw requiredFailure.error;
+  }
+  return results;
+}
+
+/********************************************************************************************
+ * Runs one step of a refresh plan, catching and logging its error.
+ *
+ * @param {RefreshStep} step - The step.
+ * @param {Object} options - See runRefreshPlan.
+ * @returns {Promise<RefreshResult>}
+ *******************************************************************************************/
+async function runStep({ name, run, required = false }, { label, logMessage }) {
+  const startTime = Date.now();
+  let error = null;
+  try {
+    await run();
+  } catch (stepError) {
+    error = stepError;
+    logMessage('error', `${label}: step "${name}" failed:`, stepError);
+  }
+
+  const duration = Date.now() - startTime;
+  logMessage('trace', `${label}: step "${name}" took ${duration} ms`);
+  return { name, duration, required, error };
+}
+
+module.exports = { runRefreshPlan };
@@ -0,0 +1,117 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, createApp, createDevice } = require('./helpers');
+const AccountPoller = require('../lib/AccountPoller');
+const ChargeAmpsError = require('../lib/ChargeAmpsError');
+
+describe('AccountPoller', () => {
+  let server;
+  let homey;
+  let app;
+  let poller;
+
+  beforeEach(async () => {
+    server = await startServer();
+    ({ homey, app } = await createApp(server));
+    poller = new AccountPoller({ getApi: () => app.api });
+  });
+
+  afterEach(async () => {
+    await app.onUninit();
+    await server.stop();
+  });
+
+  it('reads the status of every chargepoint polled together once, in one batch', async () => {
+    const [halo, dawn, dawnAgain] = await Promise.all([
+      poller.getStatus('HALO-1'),
+      poller.getStatus('DAWN-1'),
+      poller.getStatus('DAWN-1'),
+    ]);
+
+    assert.strictEqual(halo.status.id, 'HALO-1');
+    assert.strictEqual(dawn.status.id, 'DAWN-1');
+    assert.strictEqual(dawnAgain.status, dawn.status);
+    assert.strictEqual(server.requestsFor('GET', '/chargepoints/DAWN-1/status').length, 1);
+
+    // Every device gets the time of the batch
+    assert.ok(poller.polledAt > Date.now() - 1000);
+    assert.deepStrictEqual([halo.polledAt, dawn.polledAt], [poller.polledAt, poller.polledAt]);
+  });
+
+  it('hands a failed status read to the callers of that chargepoint only', async () => {
+    server.failNext(1, { pathPart: 'HALO-1/status' });
+
+    const [halo, dawn] = await Promise.allSettled([poller.getStatus('HALO-1'), poller.getStatus('DAWN-1')]);
+
+    assert.strictEqual(halo.status, 'rejected');
+    assert.strictEqual(dawn.value.status.id, 'DAWN-1');
+  });
+
+  it('stops waiting when the signal of the caller aborts', async () => {
+    const controller = new AbortController();
+    const read = poller.getStatus('HALO-1', { signal: controller.signal });
+    controller.abort();
+
+    await assert.rejects(read, (error) => error instanceof ChargeAmpsError && error.code === ChargeAmpsError.CODES.ABORTED);
+  });
+
+  it('aborts the read of a chargepoint once every caller of it has aborted', async () => {
+    await app.api.getOwnedChargepoints();
+    const controllers = [new AbortController(), new AbortController()];
+    const reads = controllers.map(({ signal }) => poller.getStatus('HALO-1', { signal }));
+    const dawn = poller.getStatus('DAWN-1');
+
+    controllers.forEach((controller) => controller.abort());
+
+    const results = await Promise.allSettled([...reads, dawn]);
+    assert.deepStrictEqual(results.map(({ status }) => status), ['rejected', 'rejected', 'fulfilled']);
+    assert.strictEqual(server.requestsFor('GET', '/chargepoints/HALO-1/status').length, 0);
+    assert.strictEqual(server.requestsFor('GET', '/chargepoints/DAWN-1/status').length, 1);
+  });
+
+  it('keeps reading a chargepoint for the callers that did not abort', async () => {
+    const controller = new AbortController();
+    const aborted = poller.getStatus('HALO-1', { signal: controller.signal });
+    const read = poller.getStatus('HALO-1', { signal: new AbortController().signal });
+
+    controller.abort();
+
+    await assert.rejects(aborted);
+    assert.strictEqual((await read).status.id, 'HALO-1');
+  });
+
+  it('schedules polls on the grid of the account', () => {
+    const now = Date.now();
+    const delay = poller.alignDelay(30, now);
+
+    assert.ok(delay >= 30 && delay < 35);
+    assert.strictEqual((now + delay * 1000) % 5000, 0);
+  });
+
+  it('counts the delay of a poll from the batch it was read in', () => {
+    const now = Date.now();
+
+    const delay = poller.alignDelay(30, now, now - 12000);
+    assert.ok(delay >= 18 && delay < 23);
+    assert.strictEqual((now + delay * 1000) % 5000, 0);
+
+    // A poll that is due already waits for the next point of the grid
+    const late = poller.alignDelay(30, now, now - 60000);
+    assert.ok(late >= 0 && late <= 5);
+    assert.strictEqual((now + late * 1000) % 5000, 0);
+  });
+
+  it('lists the owned chargepoints once for all devices of the account', async () => {
+    const devices = [];
+    for (const [driverId, id] of [['halo', 'HALO-1'], ['aura', 'AURA-1'], ['dawn', 'DAWN-1'], ['luna', 'LUNA-1']]) {
+      devices.push(await createDevice(homey, driverId, id));
+    }
+    await Promise.all(devices.map((device) => device.getHourlyData()));
+    await Promise.all(devices.map((device) => device.onUninit()));
+
+    assert.strictEqual(server.requestsFor('GET', '/chargepoints/owned').length, 1);
+  });
+});
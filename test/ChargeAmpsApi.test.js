@@ -0,0 +1,167 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const ChargeAmpsMockServer = require('./mock/ChargeAmpsMockServer');
+const ChargeAmpsApi = require('../lib/ChargeAmpsApi');
+const ChargeAmpsError = require('../lib/ChargeAmpsError');
+const CommandQueue = require('../lib/CommandQueue');
+
+describe('ChargeAmpsApi', () => {
+  let server;
+  let credentials;
+  let api;
+
+  beforeEach(async () => {
+    server = new ChargeAmpsMockServer();
+    server.addChargepoint({ id: 'HALO-1', type: 'HALO', connectors: 2 });
+    const baseUrl = await server.start();
+    credentials = { ...server.account };
+    api = new ChargeAmpsApi({ getCredentials: () => credentials, logMessage: () => {}, baseUrl });
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  it('logs in and lists the owned chargepoints', async () => {
+    const chargepoints = await api.getOwnedChargepoints();
+
+    assert.strictEqual(api.isLoggedIn(), true);
+    assert.deepStrictEqual(chargepoints.map((chargepoint) => chargepoint.id), ['HALO-1']);
+    assert.strictEqual(server.requestsFor('POST', '/auth/login').length, 1);
+  });
+
+  it('refuses to log in without an API key', async () => {
+    credentials.apiKey = '';
+
+    await assert.rejects(api.getOwnedChargepoints(), (error) => {
+      assert.ok(error instanceof ChargeAmpsError);
+      assert.strictEqual(error.code, ChargeAmpsError.CODES.MISSING_CREDENTIALS);
+      return true;
+    });
+    assert.strictEqual(server.requestsFor('POST', '/auth/login').length, 0);
+  });
+
+  it('reports a wrong password as a credential error', async () => {
+    credentials.password = 'wrong';
+
+    await assert.rejects(api.getOwnedChargepoints(), (error) => {
+      assert.strictEqual(error.code, ChargeAmpsError.CODES.AUTH_FAILED);
+      assert.ok(error.isCredentialError());
+      return true;
+    });
+  });
+
+  it('renews an expired token and replays the request once', async () => {
+    await api.getStatus('HALO-1');
+    server.expireTokens();
+
+    const status = await api.getStatus('HALO-1');
+
+    assert.strictEqual(status.id, 'HALO-1');
+    assert.strictEqual(server.requestsFor('POST', '/auth/refreshtoken').length, 1);
+    assert.strictEqual(server.requestsFor('POST', '/auth/login').length, 1);
+  });
+
+  it('logs in again when the refresh token is rejected too', async () => {
+    await api.getStatus('HALO-1');
+    server.expireTokens({ refreshTokens: true });
+
+    await api.getStatus('HALO-1');
+
+    assert.strictEqual(server.requestsFor('POST', '/auth/refreshtoken').length, 1);
+    assert.strictEqual(server.requestsFor('POST', '/auth/login').length, 2);
+  });
+
+  it('renews a token that is answered with a 403 without a body', async () => {
+    await api.getStatus('HALO-1');
+    server.expireTokens({ status: 403 });
+
+    const status = await api.getStatus('HALO-1');
+
+    assert.strictEqual(status.id, 'HALO-1');
+    assert.strictEqual(server.requestsFor('POST', '/auth/refreshtoken').length, 1);
+    assert.strictEqual(server.requestsFor('POST', '/auth/login').length, 1);
+  });
+
+  it('reports a connector the account may not use when the renewed session gets a 403 too', async () => {
+    server.restrictAccess('HALO-1', [2]);
+
+    await assert.rejects(api.getConnectorSettings('HALO-1', 1), (error) => {
+      assert.strictEqual(error.code, ChargeAmpsError.CODES.FORBIDDEN);
+      assert.strictEqual(error.isCredentialError(), false);
+      return true;
+    });
+    assert.strictEqual(server.requestsFor('POST', '/auth/refreshtoken').length, 1);
+    assert.strictEqual(server.requestsFor('GET', '/chargepoints/HALO-1/connectors/1/settings').length, 2);
+    assert.strictEqual(api.isLoggedIn(), true);
+  });
+
+  it('opens the circuit breaker after repeated server errors', async () => {
+    await api.getStatus('HALO-1');
+    server.failNext(5, { pathPart: '/status' });
+
+    for (let i = 0; i < 5; i++) {
+      await assert.rejects(api.getStatus('HALO-1'), (error) => error.status === 500);
+    }
+    const sent = server.requests.length;
+
+    await assert.rejects(api.getStatus('HALO-1'), (error) => error.code === ChargeAmpsError.CODES.CIRCUIT_OPEN);
+    assert.strictEqual(server.requests.length, sent);
+  });
+
+  it('keeps the other connector settings when changing one field', async () => {
+    server.connector('HALO-1', 1).settings.maxCurrent = 10;
+
+    await api.updateConnectorSettings('HALO-1', 1, { rfidLock: true });
+
+    const [put] = server.requestsFor('PUT', '/chargepoints/HALO-1/connectors/1/settings');
+    assert.strictEqual(put.body.rfidLock, true);
+    assert.strictEqual(put.body.maxCurrent, 10);
+    assert.strictEqual(put.body.mode, 'On');
+  });
+});
+
+describe('CommandQueue', () => {
+  it('merges changes queued for the same target into one write', async () => {
+    const queue = new CommandQueue();
+    const writes = [];
+    const write = async (changes) => {
+      writes.push(changes);
+    };
+
+    await Promise.all([
+      queue.enqueue('connector1', { mode: 'On' }, write),
+      queue.enqueue('connector1', { maxCurrent: 10 }, write),
+      queue.enqueue('chargepoint', { dimmer: 'High' }, write),
+      queue.enqueue('connector1', { rfidLock: true }, write),
+    ]);
+
+    assert.deepStrictEqual(writes, [
+      { mode: 'On', maxCurrent: 10, rfidLock: true },
+      { dimmer: 'High' },
+    ]);
+  });
+
+  it('runs the writes one at a time', async () => {
+    const queue = new CommandQueue();
+    let running = 0;
+    let maxRunning = 0;
+    const write = async () => {
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      running -= 1;
+    };
+
+    await Promise.all([
+      queue.enqueue('connector1', {}, write),
+      queue.enqueue('connector2', {}, write),
+      queue.enqueue('chargepoint', {}, write),
+    ]);
+
+    assert.strictEqual(maxRunning, 1);
+  });
+});
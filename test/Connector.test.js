@@ -0,0 +1,110 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const Connector = require('../lib/Connector');
+
+describe('Connector', () => {
+  it('names the capabilities and flow cards after its prefix', () => {
+    const connector = new Connector({ connectorId: 2, prefix: 'aura2', cableLock: true, capabilities: { onoff: 'aura2onoffButton' } });
+
+    assert.strictEqual(connector.capabilities.onoff, 'aura2onoffButton');
+    assert.strictEqual(connector.capabilities.carConnected, 'aura2CarConnected');
+    assert.strictEqual(connector.capabilities.cableLockButton, 'aura2CableLockButton');
+    assert.strictEqual(connector.capabilities.measure, 'measure_aura2');
+    assert.strictEqual(connector.card('chargerConnected'), 'aura2-chargerConnected');
+  });
+
+  it('reads the measurements of every phase', () => {
+    const connector = new Connector({ connectorId: 2, prefix: 'aura2', phasePrefix: 'aura2_' });
+
+    connector.applyStatus({ status: 'Charging', totalConsumptionKwh: 1, measurements: [{ phase: 'L2', current: 6, voltage: 230 }] });
+
+    assert.deepStrictEqual(connector.phaseValues(), {
+      'measure_current.aura2_L1': 0,
+      'measure_voltage.aura2_L1': null,
+      'measure_power.aura2_L1': 0,
+      'measure_current.aura2_L2': 6,
+      'measure_voltage.aura2_L2': 230,
+      'measure_power.aura2_L2': 1380,
+      'measure_current.aura2_L3': 0,
+      'measure_voltage.aura2_L3': null,
+      'measure_power.aura2_L3': 0,
+    });
+  });
+
+  it('has no cable lock capabilities without a cable lock', () => {
+    const connector = new Connector({ connectorId: 1, prefix: 'halo' });
+
+    assert.strictEqual(connector.capabilities.cableLockStatus, undefined);
+  });
+
+  it('works out the car connected changes and their flow cards', () => {
+    const connector = new Connector({ connectorId: 1, prefix: 'dawn' });
+
+    assert.deepStrictEqual(connector.carConnectedChange(null, 'Available'), { value: 'Disconnected', trigger: 'chargerDisconnected' });
+    assert.deepStrictEqual(connector.carConnectedChange('Disconnected', 'Connected'), { value: 'Connected', trigger: 'chargerConnected' });
+    assert.deepStrictEqual(connector.carConnectedChange('Connected', 'Charging'), { value: 'Charging', trigger: 'chargerCharging' });
+    assert.deepStrictEqual(connector.carConnectedChange('Charging', 'SuspendedEV'), { value: 'Connected', trigger: 'chargerChargingCompleted' });
+    assert.deepStrictEqual(connector.carConnectedChange('Connected', 'Faulted'), { value: 'Faulted', trigger: null });
+    assert.strictEqual(connector.carConnectedChange('Disconnected', 'Available'), null);
+  });
+
+  it('adds the energy charged since the previous poll to the meter', () => {
+    const connector = new Connector({ connectorId: 1, prefix: 'luna' });
+    connector.applyStatus({ status: 'Connected', totalConsumptionKwh: 0 });
+    connector.advanceMeter(100);
+
+    connector.applyStatus({ status: 'Charging', totalConsumptionKwh: 2, measurements: [{ current: 10, voltage: 230 }] });
+    assert.strictEqual(connector.chargingConsumptionKwh, 2.3);
+    assert.strictEqual(connector.advanceMeter(100), 102);
+
+    connector.applyStatus({ status: 'Charging', totalConsumptionKwh: 3.5, measurements: [] });
+    assert.strictEqual(connector.chargingConsumptionKwh, 0);
+    assert.strictEqual(connector.advanceMeter(102), 103.5);
+  });
+
+  it('does not add the energy of a running session again after a restart', () => {
+    const connector = new Connector({ connectorId: 1, prefix: 'luna' });
+
+    connector.applyStatus({ status: 'Charging', totalConsumptionKwh: 5 });
+    assert.strictEqual(connector.advanceMeter(100), 100);
+
+    connector.applyStatus({ status: 'Charging', totalConsumptionKwh: 6 });
+    assert.strictEqual(connector.advanceMeter(100), 101);
+  });
+
+  it('adds the energy of a session that started between two polls', () => {
+    const connector = new Connector({ connectorId: 1, prefix: 'luna' });
+    connector.applyStatus({ status: 'Charging', totalConsumptionKwh: 5 });
+    connector.advanceMeter(100);
+
+    // The session of 5 kWh ended and the next one charged 2 kWh before the next poll
+    connector.applyStatus({ status: 'Charging', totalConsumptionKwh: 2 });
+    assert.strictEqual(connector.advanceMeter(100), 102);
+  });
+
+  it('picks the last finished session', () => {
+    const connector = new Connector({ connectorId: 1, prefix: 'luna' });
+    const sessions = [{ totalConsumptionKwh: 4.321 }, { totalConsumptionKwh: 12 }];
+
+    connector.nowConsumptionKwh = 0;
+    assert.strictEqual(connector.lastCharged(sessions), '4.32');
+    connector.nowConsumptionKwh = 4.321;
+    assert.strictEqual(connector.lastCharged(sessions), '12.00');
+    assert.strictEqual(connector.lastCharged([]), '0');
+  });
+
+  it('works out how often it needs to be polled', () => {
+    const connector = new Connector({ connectorId: 1, prefix: 'dawn' });
+
+    assert.strictEqual(connector.pollState(), 'idle');
+    connector.applyStatus({ status: 'SuspendedEV', totalConsumptionKwh: 0 });
+    assert.strictEqual(connector.pollState(), 'connected');
+    connector.applyStatus({ status: 'Charging', totalConsumptionKwh: 1 });
+    assert.strictEqual(connector.pollState(), 'charging');
+    connector.applySettings({ mode: 'Off' });
+    assert.strictEqual(connector.pollState(), 'idle');
+  });
+});
@@ -0,0 +1,232 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { Homey, startServer, createApp, createDevice, waitFor } = require('./helpers');
+
+describe('accounts', () => {
+  let server;
+  let homey;
+  let app;
+  let summerHouse;
+
+  beforeEach(async () => {
+    server = await startServer();
+    summerHouse = server.addAccount({ email: 'summer@example.com', password: 'sunny', apiKey: 'summer-api-key' });
+    server.addChargepoint({ id: 'DAWN-2', type: 'DAWN', owner: summerHouse.email });
+    ({ homey, app } = await createApp(server));
+  });
+
+  afterEach(async () => {
+    await app.onUninit();
+    await server.stop();
+  });
+
+  it('adds an account next to the default one', async () => {
+    const accountId = await app.loginAccount(summerHouse);
+
+    assert.notStrictEqual(accountId, 'default');
+    assert.deepStrictEqual(app.getAccounts(), [
+      { id: 'default', email: server.account.email },
+      { id: accountId, email: summerHouse.email },
+    ]);
+    assert.deepStrictEqual((await app.getApi(accountId).getOwnedChargepoints()).map((chargepoint) => chargepoint.id), ['DAWN-2']);
+  });
+
+  it('does not save an account that ChargeAmps rejects', async () => {
+    await assert.rejects(app.loginAccount({ ...summerHouse, password: 'wrong' }), /rejected/);
+
+    assert.strictEqual(app.getAccounts().length, 1);
+  });
+
+  it('updates the account of a known email', async () => {
+    const accountId = await app.loginAccount({ ...server.account });
+
+    assert.strictEqual(accountId, 'default');
+    assert.strictEqual(app.getAccounts().length, 1);
+  });
+
+  it('keeps every device on the session of its account', async () => {
+    const accountId = await app.loginAccount(summerHouse);
+    const home = await createDevice(homey, 'dawn', 'DAWN-1');
+    const summer = await createDevice(homey, 'dawn', 'DAWN-2', {}, { accountId });
+
+    server.plugIn('DAWN-2');
+    await summer.getCAdata();
+
+    assert.strictEqual(summer.getAvailable(), true);
+    assert.strictEqual(summer.getCapabilityValue('dawnCarConnected'), 'Connected');
+    assert.strictEqual(home.getCapabilityValue('dawnCarConnected'), 'Disconnected');
+    assert.strictEqual(server.requestsFor('POST', '/auth/login').length, 2);
+
+    await summer.onUninit();
+    await home.onUninit();
+  });
+
+  it('tests and removes an account no device uses', async () => {
+    const accountId = await app.loginAccount(summerHouse);
+
+    await app.testAccount(accountId);
+    await app.removeAccount(accountId);
+
+    assert.deepStrictEqual(app.getAccounts().map(({ id }) => id), ['default']);
+    assert.throws(() => app.getApi(accountId), /has been removed/);
+    await assert.rejects(app.removeAccount('default'), /can not be removed/);
+  });
+
+  it('keeps the session instead of the password', async () => {
+    const accountId = await app.loginAccount(summerHouse);
+
+    assert.deepStrictEqual(homey.settings.get('accounts'), [{ id: accountId, email: summerHouse.email, apiKey: summerHouse.apiKey }]);
+    assert.ok(app.getSession(accountId).token);
+  });
+
+  it('keeps the session in the store of the devices of the account, not in the app settings', async () => {
+    const accountId = await app.loginAccount(summerHouse);
+    const home = await createDevice(homey, 'dawn', 'DAWN-1');
+    const summer = await createDevice(homey, 'dawn', 'DAWN-2', {}, { accountId });
+
+    assert.deepStrictEqual(home.getStoreValue('session'), { accountId: 'default', ...app.getSession('default') });
+    assert.deepStrictEqual(summer.getStoreValue('session'), { accountId, ...app.getSession(accountId) });
+    assert.strictEqual(homey.settings.get('sessions'), null);
+
+    // A renewed token is stored too
+    await app.renewTokenLoop();
+    assert.strictEqual(home.getStoreValue('session').token, app.getSession('default').token);
+
+    await summer.onUninit();
+    await home.onUninit();
+  });
+
+  it('removes the password of older versions after the first login', async () => {
+    await app.api.getOwnedChargepoints();
+
+    assert.strictEqual(homey.settings.get('password'), null);
+    assert.ok(app.getSession('default').token);
+  });
+
+  it('continues with the session of the device store after a restart', async () => {
+    const device = await createDevice(homey, 'dawn', 'DAWN-1');
+    const store = { session: device.getStoreValue('session') };
+    await device.onUninit();
+    await app.onUninit();
+
+    ({ homey, app } = await createApp(server, { password: null }));
+    server.expireTokens();
+    const restarted = await createDevice(homey, 'dawn', 'DAWN-1', {}, store);
+    await restarted.onUninit();
+
+    assert.strictEqual(restarted.getAvailable(), true);
+    assert.strictEqual(server.requestsFor('POST', '/auth/login').length, 1);
+    assert.strictEqual(server.requestsFor('POST', '/auth/refreshtoken').length, 1);
+  });
+
+  it('moves the sessions of an earlier version out of the app settings', async () => {
+    await app.api.getOwnedChargepoints();
+    const session = app.getSession('default');
+    await app.onUninit();
+
+    ({ homey, app } = await createApp(server, { password: null, sessions: { default: session } }));
+    const device = await createDevice(homey, 'dawn', 'DAWN-1');
+    await device.onUninit();
+
+    assert.strictEqual(homey.settings.get('sessions'), null);
+    assert.strictEqual(device.getStoreValue('session').refreshToken, session.refreshToken);
+    assert.strictEqual(server.requestsFor('POST', '/auth/login').length, 1);
+  });
+
+  it('keeps the session when the token renewal fails for a while', async () => {
+    await app.api.getOwnedChargepoints();
+    const session = app.getSession('default');
+    server.failNext(1, { status: 502, pathPart: '/auth/refreshtoken' });
+
+    await app.renewTokenLoop();
+
+    assert.strictEqual(app.api.isLoggedIn(), true);
+    assert.deepStrictEqual(app.getSession('default'), session);
+
+    // The next renewal continues with the same session, without asking for the password
+    await app.renewTokenLoop();
+    assert.strictEqual(server.requestsFor('POST', '/auth/refreshtoken').length, 2);
+    assert.strictEqual(server.requestsFor('POST', '/auth/login').length, 1);
+    assert.ok(app.getSession('default').token);
+  });
+
+  it('asks to log in again when the refresh token has expired', async () => {
+    await app.api.getOwnedChargepoints();
+    server.expireTokens({ refreshTokens: true });
+
+    await assert.rejects(app.api.getOwnedChargepoints(), /login has expired. Please log in again/);
+    assert.strictEqual(app.getSession('default'), null);
+  });
+});
+
+describe('changed credentials', () => {
+  let server;
+  let homey;
+  let app;
+  let summerHouse;
+  let device;
+
+  beforeEach(async () => {
+    server = await startServer();
+    summerHouse = server.addAccount({ email: 'summer@example.com', password: 'sunny', apiKey: 'summer-api-key' });
+    server.addChargepoint({ id: 'DAWN-2', type: 'DAWN', owner: summerHouse.email });
+    ({ homey, app } = await createApp(server));
+
+    // The charger is on the summer house account, the app settings still have the other one
+    device = await createDevice(homey, 'dawn', 'DAWN-2');
+    const driver = new Homey.Driver({ homey, id: 'dawn' });
+    driver.devices.push(device);
+    homey.drivers.drivers.dawn = driver;
+  });
+
+  afterEach(async () => {
+    await device.onUninit();
+    await app.onUninit();
+    await server.stop();
+  });
+
+  it('keeps the working session and its credentials when the changed ones can not log in', async () => {
+    const session = device.getStoreValue('session');
+    assert.ok(session.token);
+    const logins = server.requestsFor('POST', '/auth/login').length;
+
+    // The settings page writes the email and API key, the password is only sent with a login
+    homey.settings.set('email', summerHouse.email);
+    homey.settings.set('APIkey', summerHouse.apiKey);
+    await waitFor(() => homey.settings.get('email') === server.account.email);
+
+    // The settings are set back to the account of the session in use
+    assert.strictEqual(homey.settings.get('APIkey'), server.account.apiKey);
+    assert.strictEqual(app.credentialsInUse, app.getCredentialSettings());
+    assert.ok(app.logs.some((args) => args.join(' ').includes('Login with the changed credentials failed')));
+    assert.strictEqual(server.requestsFor('POST', '/auth/login').length, logins);
+    assert.deepStrictEqual(device.getStoreValue('session'), session);
+    assert.strictEqual(app.api.isLoggedIn(), true);
+    await device.getCAdata();
+    assert.strictEqual(device.getAvailable(), true);
+  });
+
+  it('keeps the working session and its API key when ChargeAmps rejects the changed one', async () => {
+    const session = app.getSession('default');
+
+    homey.settings.set('APIkey', 'wrong-api-key');
+    await waitFor(() => homey.settings.get('APIkey') === server.account.apiKey);
+
+    assert.strictEqual(app.credentialsInUse, app.getCredentialSettings());
+    assert.deepStrictEqual(app.getSession('default'), session);
+    assert.deepStrictEqual((await app.api.getOwnedChargepoints()).length, 4);
+  });
+
+  it('does not log in again for credentials saved by a login', async () => {
+    server.plugIn('DAWN-2');
+    await app.loginAccount(summerHouse, 'default');
+    await waitFor(() => device.getCapabilityValue('dawnCarConnected') === 'Connected');
+    await waitFor(() => !homey.timers.has(app.credentialsTimer));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    assert.strictEqual(server.requestsFor('POST', '/auth/login').filter((request) => request.body.email === summerHouse.email).length, 1);
+  });
+});
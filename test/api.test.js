@@ -0,0 +1,68 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, createApp, createDevice } = require('./helpers');
+const api = require('../api');
+
+describe('settings page api', () => {
+  let server;
+  let homey;
+  let app;
+  let summerHouse;
+
+  beforeEach(async () => {
+    server = await startServer();
+    summerHouse = server.addAccount({ email: 'summer@example.com', password: 'sunny', apiKey: 'summer-api-key' });
+    server.addChargepoint({ id: 'DAWN-2', type: 'DAWN', owner: summerHouse.email });
+    ({ homey, app } = await createApp(server));
+  });
+
+  afterEach(async () => {
+    await app.onUninit();
+    await server.stop();
+  });
+
+  it('tests the entered credentials without saving them', async () => {
+    const session = app.getSession('default');
+
+    const result = await api.testConnection({ homey, body: summerHouse });
+
+    assert.deepStrictEqual(result, { ok: true, chargepoints: 1, types: ['DAWN'] });
+    assert.deepStrictEqual(app.getAccounts().map(({ id }) => id), ['default']);
+    assert.deepStrictEqual(app.getSession('default'), session);
+    assert.strictEqual(app.getSession(null), null);
+  });
+
+  it('reports what ChargeAmps answered when the login fails', async () => {
+    const result = await api.testConnection({ homey, body: { ...summerHouse, password: 'wrong' } });
+
+    assert.deepStrictEqual(result, {
+      ok: false,
+      error: 'ChargeAmps rejected the email, password or API key. Please check the app settings.',
+      code: 'AUTH_FAILED',
+      status: 400,
+      apiMessage: 'Invalid email or password',
+    });
+  });
+
+  it('tests a saved account', async () => {
+    const result = await api.testAccount({ homey, params: { id: 'default' } });
+
+    assert.deepStrictEqual(result, { ok: true, chargepoints: 4, types: ['HALO', 'AURA', 'DAWN', 'LUNA'] });
+    assert.strictEqual((await api.testAccount({ homey, params: { id: 'unknown' } })).ok, false);
+  });
+
+  it('lists the status of the accounts', async () => {
+    const device = await createDevice(homey, 'dawn', 'DAWN-1');
+    await device.getCAdata();
+    await device.onUninit();
+
+    const [account] = await api.getAccounts({ homey });
+
+    assert.strictEqual(account.status.loggedIn, true);
+    assert.ok(account.status.tokenExpiresAt > Date.now() + 50 * 60 * 1000);
+    assert.ok(account.status.lastPollAt > Date.now() - 60 * 1000);
+  });
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, createApp, createDevice } = require('./helpers');
+
+describe('aura device', () => {
+  let server;
+  let homey;
+  let app;
+  let device;
+
+  beforeEach(async () => {
+    server = await startServer();
+    ({ homey, app } = await createApp(server));
+    device = null;
+  });
+
+  afterEach(async () => {
+    await device?.onUninit();
+    await app.onUninit();
+    await server.stop();
+  });
+
+  it('matches the status of a port by connectorId', async () => {
+    server.restrictAccess('AURA-1', [2]);
+    device = await createDevice(homey, 'aura', 'AURA-1', { portAccess: 'both' });
+
+    server.plugIn('AURA-1', 2);
+    await device.getCAdata();
+
+    assert.strictEqual(device.getCapabilityValue('aura2CarConnected'), 'Connected');
+    assert.strictEqual(device.getCapabilityValue('aura1CarConnected'), null);
+    assert.strictEqual(device.detectedPortAccess, 'port2');
+  });
+
+  it('reads the sessions of each port separately', async () => {
+    server.addSession('AURA-1', 2, 7.5);
+    device = await createDevice(homey, 'aura', 'AURA-1');
+
+    await device.getCAdata();
+
+    assert.strictEqual(device.getCapabilityValue('aura1LastCharged'), '5.00');
+    assert.strictEqual(device.getCapabilityValue('aura2LastCharged'), '7.50');
+  });
+
+  it('detects the port access and keeps only the capabilities of that port', async () => {
+    server.restrictAccess('AURA-1', [2]);
+    device = await createDevice(homey, 'aura', 'AURA-1');
+
+    assert.strictEqual(device.portAccess, 'port2');
+    assert.strictEqual(device.getStoreValue('detectedPortAccess'), 'port2');
+    assert.strictEqual(device.hasCapability('aura1onoffButton'), false);
+    assert.strictEqual(device.hasCapability('aura2onoffButton'), true);
+    assert.strictEqual(device.hasCapability('auraLEDringButton'), false);
+    assert.strictEqual(server.requests.filter((request) => request.path.includes('/connectors/1/')).length, 0);
+  });
+
+  it('follows a changed port access on the hourly refresh', async () => {
+    device = await createDevice(homey, 'aura', 'AURA-1');
+    assert.strictEqual(device.hasCapability('aura1onoffButton'), true);
+
+    server.restrictAccess('AURA-1', [1]);
+    await device.getHourlyData();
+
+    assert.strictEqual(device.portAccess, 'port1');
+    assert.strictEqual(device.hasCapability('aura2onoffButton'), false);
+    assert.strictEqual(device.hasCapability('measure_both'), false);
+    assert.throws(() => device.getConnector(2), /Charger 2 is not available/);
+  });
+
+  it('leaves the charging sessions and the poll lock to the poll on the hourly refresh', async () => {
+    device = await createDevice(homey, 'aura', 'AURA-1');
+    const sessionReads = () => server.requests.filter((request) => request.path.endsWith('/chargingsessions')).length;
+    const before = sessionReads();
+
+    device.isGettingData = true; // A poll is running
+    await device.getHourlyData();
+
+    assert.strictEqual(sessionReads(), before);
+    assert.strictEqual(device.isGettingData, true);
+    device.isGettingData = false;
+  });
+
+  it('keeps the port access setting as an override', async () => {
+    device = await createDevice(homey, 'aura', 'AURA-1', { portAccess: 'port1' });
+    assert.strictEqual(device.portAccess, 'port1');
+    assert.strictEqual(device.hasCapability('aura2onoffButton'), false);
+
+    await device.setSettings({ portAccess: 'auto' });
+    await device.onSettings({ newSettings: device.getSettings(), changedKeys: ['portAccess'] });
+
+    assert.strictEqual(device.portAccess, 'both');
+    assert.strictEqual(device.hasCapability('aura2onoffButton'), true);
+  });
+
+  it('switches devices with the old default to the detection', async () => {
+    device = await createDevice(homey, 'aura', 'AURA-1', { portAccess: 'both' });
+
+    assert.strictEqual(device.getSetting('portAccess'), 'auto');
+  });
+
+  it('detects the port access when pairing', async () => {
+    server.restrictAccess('AURA-1', [2]);
+    const AURADriver = require('../drivers/aura/driver');
+    const driver = new AURADriver({ homey, id: 'aura' });
+
+    const devices = await driver.onPairListDevices();
+
+    assert.deepStrictEqual(devices, [{ name: devices[0].name, data: { id: 'AURA-1' }, store: { accountId: null, detectedPortAccess: 'port2' } }]);
+  });
+});
@@ -0,0 +1,387 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, createApp, createDevice, defaultSettings, waitFor } = require('./helpers');
+
+// The capability and flow card prefix of the (first) connector of each model
+const MODELS = [
+  { driverId: 'halo', id: 'HALO-1', prefix: 'halo', cards: 'halo' },
+  { driverId: 'aura', id: 'AURA-1', prefix: 'aura1', cards: 'aura1' },
+  { driverId: 'dawn', id: 'DAWN-1', prefix: 'dawn', cards: 'dawn' },
+  { driverId: 'luna', id: 'LUNA-1', prefix: 'luna', cards: 'luna' },
+];
+
+for (const { driverId, id, prefix, cards } of MODELS) {
+  describe(`${driverId} device`, () => {
+    let server;
+    let homey;
+    let app;
+    let device;
+
+    const newTriggers = () => {
+      const triggered = homey.flow.triggeredFor(device);
+      homey.flow.triggers.length = 0;
+      return triggered;
+    };
+
+    before(async () => {
+      server = await startServer();
+      ({ homey, app } = await createApp(server));
+      device = await createDevice(homey, driverId, id);
+      newTriggers();
+    });
+
+    after(async () => {
+      await device.onUninit();
+      await app.onUninit();
+      await server.stop();
+    });
+
+    it('starts available and disconnected', () => {
+      assert.strictEqual(device.getAvailable(), true);
+      assert.strictEqual(device.getCapabilityValue(`${prefix}CarConnected`), 'Disconnected');
+    });
+
+    it('reports a car that connects', async () => {
+      server.plugIn(id);
+      await device.getCAdata();
+
+      assert.strictEqual(device.getCapabilityValue(`${prefix}CarConnected`), 'Connected');
+      assert.deepStrictEqual(newTriggers(), [`${cards}-chargerConnected`]);
+    });
+
+    it('reports a car that charges', async () => {
+      server.startCharging(id);
+      await device.getCAdata();
+
+      assert.strictEqual(device.getCapabilityValue(`${prefix}CarConnected`), 'Charging');
+      assert.deepStrictEqual(newTriggers(), [`${cards}-chargerCharging`]);
+    });
+
+    it('reports a completed charge', async () => {
+      server.finishCharging(id);
+      await device.getCAdata();
+
+      assert.strictEqual(device.getCapabilityValue(`${prefix}CarConnected`), 'Connected');
+      assert.ok(newTriggers().includes(`${cards}-chargerChargingCompleted`));
+    });
+
+    it('changes the current limit of the device chosen in a flow', async () => {
+      const card = homey.flow.getActionCard(`${cards}-changecurrent`);
+      await card.runListener({ device, Current: 10 });
+
+      assert.strictEqual(server.connector(id, 1).settings.maxCurrent, 10);
+      assert.strictEqual(device.getCapabilityValue(`${prefix}CurrentLimit`), 10);
+      assert.strictEqual(device.getSetting('settingsCurrentLimit'), 10);
+    });
+
+    it('renews an expired token without becoming unavailable', async () => {
+      server.expireTokens();
+      await device.getCAdata();
+
+      assert.strictEqual(device.getAvailable(), true);
+      assert.strictEqual(server.requestsFor('POST', '/auth/refreshtoken').length, 1);
+    });
+
+    it('becomes unavailable with a reason when the API keeps failing, and recovers', async () => {
+      server.failNext(3, { pathPart: '/status' });
+      for (let i = 0; i < 3; i++) {
+        await device.getCAdata();
+      }
+
+      assert.strictEqual(device.getAvailable(), false);
+      assert.match(device.unavailableMessage, /HTTP 500/);
+
+      await device.getCAdata();
+      assert.strictEqual(device.getAvailable(), true);
+    });
+  });
+}
+
+describe('startup', () => {
+  let server;
+  let homey;
+  let app;
+  let device;
+
+  // Initializes a DAWN without waiting for its first poll, which only runs after the startup
+  const initDevice = async () => {
+    const DAWNDevice = require('../drivers/dawn/device');
+    device = new DAWNDevice({ homey, data: { id: 'DAWN-1' }, settings: { ...defaultSettings('dawn'), debugLevel: 'off' } });
+    await device.onInit();
+  };
+
+  beforeEach(async () => {
+    server = await startServer();
+    ({ homey, app } = await createApp(server));
+  });
+
+  afterEach(async () => {
+    await device.onUninit();
+    await app.onUninit();
+    await server.stop();
+  });
+
+  it('finishes the initialization and retries while ChargeAmps cannot be reached', async () => {
+    server.failNext(2, { status: 503, pathPart: '/auth/login' });
+
+    await initDevice();
+    await waitFor(() => device.startupTimer !== null);
+    assert.strictEqual(device.getAvailable(), false);
+    assert.match(device.unavailableMessage, /HTTP 503/);
+    assert.strictEqual(device.pollTimer, null);
+
+    // The second attempt fails too, the third one starts the device
+    device.startupTimer.callback();
+    await waitFor(() => device.startupFailures === 2);
+    assert.strictEqual(device.pollTimer, null);
+
+    device.startupTimer.callback();
+    await waitFor(() => device.pollTimer !== null);
+    assert.strictEqual(device.getAvailable(), true);
+    assert.strictEqual(device.getCapabilityValue('dawnFW'), '1.2.3');
+  });
+
+  it('retries when the chargepoints cannot be listed with the saved session', async () => {
+    await app.api.getOwnedChargepoints();
+    server.failNext(1, { status: 503, pathPart: '/chargepoints/owned' });
+
+    await initDevice();
+    await waitFor(() => device.startupTimer !== null);
+    assert.strictEqual(device.getCapabilityValue('dawnFW'), null);
+
+    device.startupTimer.callback();
+    await waitFor(() => device.pollTimer !== null);
+    assert.strictEqual(device.getCapabilityValue('dawnFW'), '1.2.3');
+  });
+});
+
+// Polls are moved forward to the 5 second grid of the account
+function assertPollDelay(device, seconds) {
+  const { delay } = device.pollTimer;
+  assert.ok(delay >= seconds * 1000 && delay < (seconds + 5) * 1000, `Expected a poll in ${seconds} seconds, got ${delay} ms`);
+}
+
+describe('polling', () => {
+  let server;
+  let homey;
+  let app;
+  let device;
+
+  beforeEach(async () => {
+    server = await startServer();
+    ({ homey, app } = await createApp(server));
+  });
+
+  afterEach(async () => {
+    await device.onUninit();
+    await app.onUninit();
+    await server.stop();
+  });
+
+  it('polls faster the more is going on', async () => {
+    device = await createDevice(homey, 'dawn', 'DAWN-1');
+    assertPollDelay(device, 60);
+
+    server.plugIn('DAWN-1');
+    await device.getCAdataLoop();
+    assertPollDelay(device, 30);
+
+    server.startCharging('DAWN-1');
+    await device.getCAdataLoop();
+    assertPollDelay(device, 14);
+  });
+
+  it('keeps the time of the poll of the account and counts the next poll from it', async () => {
+    device = await createDevice(homey, 'dawn', 'DAWN-1');
+
+    assert.strictEqual(device.polledAt, device.poller.polledAt);
+    assert.strictEqual(app.getAccountStatus('default').lastPollAt, device.polledAt);
+    assert.ok(device.nextPollAt <= device.polledAt + 65000);
+  });
+
+  it('uses the polling interval settings of the device', async () => {
+    device = await createDevice(homey, 'halo', 'HALO-1', { pollIntervalIdle: 300 });
+
+    assertPollDelay(device, 300);
+  });
+
+  it('polls at the charging interval for a while after a command', async () => {
+    device = await createDevice(homey, 'dawn', 'DAWN-1');
+
+    await device.setCurrentLimit(device.getConnector(1), 12);
+    assertPollDelay(device, 14);
+
+    await device.getCAdataLoop();
+    assertPollDelay(device, 14);
+
+    device.fastPollUntil = Date.now();
+    await device.getCAdataLoop();
+    assertPollDelay(device, 60);
+  });
+
+  it('keeps one hourly refresh when reconnecting while it runs', async () => {
+    device = await createDevice(homey, 'dawn', 'DAWN-1');
+    const hourlyTimers = () => [...homey.timers].filter((timer) => timer.delay >= 1000 * 60 * 30 && timer !== app.renewTimer);
+
+    const hourly = device.hourlyDataLoop();
+    await device.reconnect();
+    await hourly;
+    await waitFor(() => hourlyTimers().length > 0);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    assert.deepStrictEqual(hourlyTimers(), [device.hourlyTimer]);
+  });
+});
+
+describe('capability updates', () => {
+  let server;
+  let homey;
+  let app;
+  let device;
+  let written;
+
+  beforeEach(async () => {
+    server = await startServer();
+    ({ homey, app } = await createApp(server));
+    device = await createDevice(homey, 'dawn', 'DAWN-1');
+
+    written = [];
+    const setCapabilityValue = device.setCapabilityValue.bind(device);
+    device.setCapabilityValue = (capability, value) => {
+      written.push(capability);
+      return setCapabilityValue(capability, value);
+    };
+  });
+
+  afterEach(async () => {
+    await device.onUninit();
+    await app.onUninit();
+    await server.stop();
+  });
+
+  it('writes nothing when nothing changed', async () => {
+    await device.getCAdata();
+    await device.getHourlyData();
+
+    assert.deepStrictEqual(written, []);
+  });
+
+  it('writes only the capabilities that changed, when the poll ends', async () => {
+    server.startCharging('DAWN-1');
+    await device.getCAdata();
+
+    assert.deepStrictEqual(written.filter((capability) => !capability.includes('.')).sort(), ['dawnCarConnected', 'dawnLastCharged', 'dawnNowCharged', 'measure_dawn', 'measure_power', 'meter_dawn', 'meter_power']);
+    assert.strictEqual(device.getCapabilityValue('dawnCarConnected'), 'Charging');
+    assert.strictEqual(device.capabilityChanges, null);
+  });
+});
+
+describe('energy', () => {
+  let server;
+  let homey;
+  let app;
+  let device;
+
+  beforeEach(async () => {
+    server = await startServer();
+    ({ homey, app } = await createApp(server));
+  });
+
+  afterEach(async () => {
+    await device.onUninit();
+    await app.onUninit();
+    await server.stop();
+  });
+
+  it('reports the power in W and the meter in kWh of the whole charger', async () => {
+    device = await createDevice(homey, 'aura', 'AURA-1');
+
+    server.startCharging('AURA-1', 1, { current: 16, voltage: 230 });
+    server.startCharging('AURA-1', 2, { current: 10, voltage: 230 });
+    await device.getCAdata();
+
+    assert.strictEqual(device.getCapabilityValue('measure_power'), 3 * (16 + 10) * 230);
+    assert.strictEqual(device.getCapabilityValue('meter_power'), device.getCapabilityValue('meter_both'));
+  });
+
+  it('adds the capabilities to a device paired before, starting from its meter', async () => {
+    const DAWNDevice = require('../drivers/dawn/device');
+    device = new DAWNDevice({ homey, data: { id: 'DAWN-1' }, settings: { ...defaultSettings('dawn'), debugLevel: 'off' }, capabilities: ['measure_dawn', 'meter_dawn'] });
+    await device.setCapabilityValue('meter_dawn', 12.5);
+    await device.onInit();
+    await waitFor(() => device.pollTimer !== null);
+
+    await device.getCAdata();
+    assert.strictEqual(device.getCapabilityValue('meter_power'), 12.5);
+
+    // A restart keeps the capabilities and their values
+    await device.basicPreparation();
+    assert.strictEqual(device.getCapabilityValue('meter_power'), 12.5);
+  });
+
+  it('counts the energy of a running session once across a restart', async () => {
+    device = await createDevice(homey, 'dawn', 'DAWN-1');
+    server.startCharging('DAWN-1', 1, { totalConsumptionKwh: 2 });
+    await device.getCAdata();
+    assert.strictEqual(device.getCapabilityValue('meter_power'), 2);
+
+    await device.onUninit();
+    await device.onInit();
+    await waitFor(() => device.pollTimer !== null);
+    await device.getCAdata();
+    assert.strictEqual(device.getCapabilityValue('meter_power'), 2);
+
+    server.connector('DAWN-1', 1).status.totalConsumptionKwh = 3;
+    await device.getCAdata();
+    assert.strictEqual(device.getCapabilityValue('meter_power'), 3);
+  });
+});
+
+describe('phases', () => {
+  let server;
+  let homey;
+  let app;
+  let device;
+
+  beforeEach(async () => {
+    server = await startServer();
+    ({ homey, app } = await createApp(server));
+  });
+
+  afterEach(async () => {
+    await device.onUninit();
+    await app.onUninit();
+    await server.stop();
+  });
+
+  it('reports the current, voltage and power of every phase', async () => {
+    device = await createDevice(homey, 'luna', 'LUNA-1');
+
+    server.startCharging('LUNA-1', 1, { current: 16, voltage: 231, phases: ['L1'] });
+    await device.getCAdata();
+
+    assert.strictEqual(device.getCapabilityValue('measure_current.L1'), 16);
+    assert.strictEqual(device.getCapabilityValue('measure_voltage.L1'), 231);
+    assert.strictEqual(device.getCapabilityValue('measure_power.L1'), 3696);
+    assert.strictEqual(device.getCapabilityValue('measure_current.L2'), 0);
+    assert.strictEqual(device.getCapabilityValue('measure_power.L3'), 0);
+
+    server.finishCharging('LUNA-1');
+    await device.getCAdata();
+    assert.strictEqual(device.getCapabilityValue('measure_current.L1'), 0);
+  });
+
+  it('names the phases of each AURA port apart', async () => {
+    device = await createDevice(homey, 'aura', 'AURA-1');
+
+    server.startCharging('AURA-1', 2, { current: 10 });
+    await device.getCAdata();
+
+    assert.strictEqual(device.getCapabilityValue('measure_current.aura2_L3'), 10);
+    assert.strictEqual(device.getCapabilityValue('measure_current.aura1_L3'), 0);
+    assert.strictEqual(device.hasCapability('measure_current.L1'), false);
+  });
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const Module = require('module');
+const path = require('path');
+
+// The Homey SDK only exists on a Homey, so `require('homey')` is pointed at the mock
+const MOCK_HOMEY = path.join(__dirname, 'mock', 'homey.js');
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function resolveHomey(request, ...args) {
+  if (request === 'homey') {
+    return MOCK_HOMEY;
+  }
+  return resolveFilename.call(this, request, ...args);
+};
+
+const Homey = require('homey');
+const appJson = require('../app.json');
+const ChargeAmpsMockServer = require('./mock/ChargeAmpsMockServer');
+
+/********************************************************************************************
+ * Starts a mock server with one charger of every model.
+ *
+ * @returns {Promise<ChargeAmpsMockServer>}
+ *******************************************************************************************/
+async function startServer() {
+  const server = new ChargeAmpsMockServer();
+  server.addChargepoint({ id: 'HALO-1', type: 'HALO', connectors: 2 });
+  server.addChargepoint({ id: 'AURA-1', type: 'AURA', connectors: 2 });
+  server.addChargepoint({ id: 'DAWN-1', type: 'DAWN' });
+  server.addChargepoint({ id: 'LUNA-1', type: 'LUNA' });
+  await server.start();
+  return server;
+}
+
+/********************************************************************************************
+ * Creates a mocked Homey and initializes the app against the mock server.
+ *
+ * @param {ChargeAmpsMockServer} server - The mock server.
+ * @param {Object} [settings] - App settings that replace the working credentials.
+ * @returns {Promise<{ homey: Object, app: ChargeAmpsApp }>}
+ *******************************************************************************************/
+async function createApp(server, settings = {}) {
+  const homey = Homey.createHomey({
+    settings: {
+      email: server.account.email,
+      password: server.account.password,
+      APIkey: server.account.apiKey,
+      debugLevel: 'off',
+      ...settings,
+    },
+  });
+  Homey.env.CHARGEAMPS_BASE_URL = server.baseUrl;
+
+  const ChargeAmpsApp = require('../app');
+  const app = new ChargeAmpsApp({ homey });
+  homey.app = app;
+  await app.onInit();
+  return { homey, app };
+}
+
+/********************************************************************************************
+ * Returns the default device settings of a driver, as declared in app.json.
+ *
+ * @param {string} driverId - 'halo', 'aura', 'dawn' or 'luna'.
+ * @returns {Object}
+ *******************************************************************************************/
+function defaultSettings(driverId) {
+  const driver = appJson.drivers.find((candidate) => candidate.id === driverId);
+  const settings = (driver.settings || []).flatMap((setting) => setting.children || [setting]);
+  return Object.fromEntries(settings.filter((setting) => 'value' in setting).map((setting) => [setting.id, setting.value]));
+}
+
+/********************************************************************************************
+ * Creates and initializes a device, and waits until its first poll has finished.
+ *
+ * @param {Object} homey - The mocked Homey.
+ * @param {string} driverId - 'halo', 'aura', 'dawn' or 'luna'.
+ * @param {string} id - The chargepoint ID.
+ * @param {Object} [settings] - Device settings on top of the defaults.
+ * @param {Object} [store] - The device store, e.g. `{ accountId }`.
+ * @returns {Promise<Homey.Device>}
+ *******************************************************************************************/
+async function createDevice(homey, driverId, id, settings = {}, store = {}) {
+  const DeviceClass = require(`../drivers/${driverId}/device`);
+  const device = new DeviceClass({
+    homey,
+    data: { id },
+    settings: { ...defaultSettings(driverId), debugLevel: 'off', ...settings },
+    store,
+  });
+  await device.onInit();
+  await waitFor(() => device.pollTimer !== null);
+  return device;
+}
+
+/********************************************************************************************
+ * Waits until a condition is true.
+ *
+ * @param {Function} condition - Checked every few ms.
+ * @param {number} [timeout=2000] - Fails after this many ms.
+ * @returns {Promise<void>}
+ *******************************************************************************************/
+async function waitFor(condition, timeout = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+module.exports = {
+  Homey,
+  ChargeAmpsMockServer,
+  startServer,
+  createApp,
+  createDevice,
+  defaultSettings,
+  waitFor,
+};
@@ -0,0 +1,469 @@
+'use strict';
+
+const http = require('http');
+
+const API_PREFIX = '/api/v5';
+
+/********************************************************************************************
+ * ChargeAmpsMockServer is a local copy of the ChargeAmps external API (v5) endpoints that the
+ * app uses, so the app can be tested without the cloud:
+ *
+ *   POST /auth/login                                       POST /auth/refreshtoken
+ *   GET  /chargepoints/owned                               GET  /chargepoints/{id}/status
+ *   GET  /chargepoints/{id}/settings                       PUT  /chargepoints/{id}/settings
+ *   GET  /chargepoints/{id}/connectors/{n}/settings        PUT  /chargepoints/{id}/connectors/{n}/settings
+ *   GET  /chargepoints/{id}[/connectors/{n}]/chargingsessions
+ *   PUT  /chargepoints/{id}/connectors/{n}/remotestop
+ *
+ * Tests change the state of the chargers with the scenario helpers (plugIn, startCharging,
+ * finishCharging, unplug), the failure helpers (expireTokens, failNext), restrictAccess and
+ * addAccount.
+ *
+ * It can also be started on its own, to point a real Homey at it through env.json:
+ *   node test/mock/ChargeAmpsMockServer.js [port]
+ *
+ * @class ChargeAmpsMockServer
+ *
+ * @property {Object} account - The `{ email, password, apiKey }` of the first account.
+ * @property {Array<Object>} accounts - Every account that can log in, see addAccount.
+ * @property {Map<string, Object>} chargepoints - The chargers of all accounts by ID.
+ * @property {Array<Object>} requests - Every request received, as `{ method, path, body }`.
+ *******************************************************************************************/
+class ChargeAmpsMockServer {
+
+  /********************************************************************************************
+   * @param {Object} [options]
+   * @param {string} [options.email='test@example.com'] - The email that can log in.
+   * @param {string} [options.password='secret'] - The password that can log in.
+   * @param {string} [options.apiKey='test-api-key'] - The API key that can log in.
+   *******************************************************************************************/
+  constructor({ email = 'test@example.com', password = 'secret', apiKey = 'test-api-key' } = {}) {
+    this.account = { email, password, apiKey };
+    this.accounts = [this.account];
+    this.chargepoints = new Map();
+    this.requests = [];
+    this.tokens = new Map();
+    this.refreshTokens = new Map();
+    this.rejectedTokenStatus = 401;
+    this.tokenCounter = 0;
+    this.sessionCounter = 0;
+    this.failures = [];
+    this.server = null;
+    this.baseUrl = null;
+  }
+
+  // *************************************************************************
+  // SERVER
+  // *************************************************************************
+
+  /********************************************************************************************
+   * Starts listening on localhost.
+   *
+   * @param {number} [port=0] - The port, 0 picks a free one.
+   * @returns {Promise<string>} The base URL to give to the API client.
+   *******************************************************************************************/
+  start(port = 0) {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    return new Promise((resolve) => {
+      this.server.listen(port, '127.0.0.1', () => {
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}${API_PREFIX}`;
+        resolve(this.baseUrl);
+      });
+    });
+  }
+
+  /********************************************************************************************
+   * Stops the server.
+   *
+   * @returns {Promise<void>}
+   *******************************************************************************************/
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.server.closeAllConnections();
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /********************************************************************************************
+   * Handles one HTTP request.
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   *******************************************************************************************/
+  handle(req, res) {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const path = url.pathname.startsWith(API_PREFIX) ? url.pathname.slice(API_PREFIX.length) : url.pathname;
+      let body = null;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch (error) {
+        this.send(res, 400, { message: 'Invalid JSON' });
+        return;
+      }
+
+      this.requests.push({ method: req.method, path, body });
+
+      const failure = this.takeFailure(req.method, path);
+      if (failure) {
+        this.send(res, failure.status, { message: 'Simulated failure' });
+        return;
+      }
+
+      try {
+        const [status, response] = this.route(req.method, path, url.searchParams, body, req.headers);
+        this.send(res, status, response);
+      } catch (error) {
+        this.send(res, 500, { message: error.message });
+      }
+    });
+  }
+
+  /********************************************************************************************
+   * Writes a JSON response.
+   *******************************************************************************************/
+  send(res, status, body) {
+    const payload = body === undefined ? '' : JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(payload);
+  }
+
+  /********************************************************************************************
+   * Dispatches a request to the matching endpoint.
+   *
+   * @returns {Array} `[status, body]`
+   *******************************************************************************************/
+  route(method, path, query, body, headers) {
+    if (method === 'POST' && path === '/auth/login') {
+      return this.login(body, headers);
+    }
+    if (method === 'POST' && path === '/auth/refreshtoken') {
+      return this.refresh(body);
+    }
+
+    const owner = this.isAuthorized(headers);
+    if (!owner) {
+      return this.rejectedTokenStatus === 401 ? [401, { message: 'Unauthorized' }] : [this.rejectedTokenStatus];
+    }
+
+    if (method === 'GET' && path === '/chargepoints/owned') {
+      return [200, [...this.chargepoints.values()].filter((chargepoint) => chargepoint.owner === owner).map((chargepoint) => chargepoint.info)];
+    }
+
+    let match = path.match(/^\/chargepoints\/([^/]+)(.*)$/);
+    if (!match) {
+      return [404, { message: 'Not found' }];
+    }
+    const chargepoint = this.chargepoints.get(match[1]);
+    if (!chargepoint || chargepoint.owner !== owner) {
+      return [404, { message: 'Chargepoint not found' }];
+    }
+    const rest = match[2];
+
+    if (method === 'GET' && rest === '/status') {
+      return [200, {
+        id: chargepoint.info.id,
+        status: 'Online',
+        connectorStatuses: this.readableConnectors(chargepoint).map((connector) => connector.status),
+      }];
+    }
+    if (rest === '/settings') {
+      if (method === 'PUT') {
+        chargepoint.settings = { ...body, id: chargepoint.info.id };
+      }
+      return [200, chargepoint.settings];
+    }
+    if (method === 'GET' && rest === '/chargingsessions') {
+      return [200, this.listSessions(chargepoint, null, query)];
+    }
+
+    match = rest.match(/^\/connectors\/(\d+)\/(settings|chargingsessions|remotestop)$/);
+    const connector = match && chargepoint.connectors.get(Number(match[1]));
+    if (!connector) {
+      return [404, { message: 'Connector not found' }];
+    }
+    if (!this.readableConnectors(chargepoint).includes(connector)) {
+      return [403, { message: 'Forbidden' }];
+    }
+
+    switch (`${method} ${match[2]}`) {
+      case 'GET settings':
+        return [200, connector.settings];
+      case 'PUT settings':
+        connector.settings = { ...body, chargePointId: chargepoint.info.id, connectorId: connector.connectorId };
+        return [200, connector.settings];
+      case 'GET chargingsessions':
+        return [200, this.listSessions(chargepoint, connector.connectorId, query)];
+      case 'PUT remotestop':
+        if (connector.status.status === 'Charging') {
+          this.finishCharging(chargepoint.info.id, connector.connectorId);
+        }
+        return [200, undefined];
+      default:
+        return [405, { message: 'Method not allowed' }];
+    }
+  }
+
+  // *************************************************************************
+  // AUTHENTICATION
+  // *************************************************************************
+
+  login(body, headers) {
+    if (!this.accounts.some((account) => account.apiKey === headers.apikey)) {
+      return [401, { message: 'Invalid API key' }];
+    }
+    const account = this.accounts.find((candidate) => body && candidate.email === body.email && candidate.password === body.password);
+    if (!account || account.apiKey !== headers.apikey) {
+      return [400, { message: 'Invalid email or password' }];
+    }
+    return [200, this.issueTokens(account.email)];
+  }
+
+  refresh(body) {
+    if (!body || !this.refreshTokens.has(body.refreshToken)) {
+      return [401, { message: 'Invalid refresh token' }];
+    }
+    const email = this.refreshTokens.get(body.refreshToken);
+    this.refreshTokens.delete(body.refreshToken);
+    return [200, this.issueTokens(email)];
+  }
+
+  issueTokens(email) {
+    this.tokenCounter += 1;
+    // Shaped like the JWTs of ChargeAmps, valid for an hour
+    const claims = { sub: email, n: this.tokenCounter, exp: Math.floor(Date.now() / 1000) + 3600 };
+    const token = ['{"alg":"HS256"}', JSON.stringify(claims), 'signature'].map((part) => Buffer.from(part).toString('base64url')).join('.');
+    const refreshToken = `refresh-${this.tokenCounter}`;
+    this.tokens.set(token, email);
+    this.refreshTokens.set(refreshToken, email);
+    return {
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: { id: `user-${this.accounts.findIndex((account) => account.email === email) + 1}`, email },
+    };
+  }
+
+  /********************************************************************************************
+   * Returns the email of the account the bearer token belongs to, or null.
+   *******************************************************************************************/
+  isAuthorized(headers) {
+    const header = headers.authorization || '';
+    return header.startsWith('Bearer ') ? this.tokens.get(header.slice('Bearer '.length)) || null : null;
+  }
+
+  // *************************************************************************
+  // TEST CONTROLS
+  // *************************************************************************
+
+  /********************************************************************************************
+   * Adds another account that can log in.
+   *
+   * @param {Object} account - The `{ email, password, apiKey }` of the account.
+   * @returns {Object} The account.
+   *******************************************************************************************/
+  addAccount({ email, password, apiKey }) {
+    const account = { email, password, apiKey };
+    this.accounts.push(account);
+    return account;
+  }
+
+  /********************************************************************************************
+   * Adds a charger to an account.
+   *
+   * @param {Object} options
+   * @param {string} options.id - The chargepoint ID.
+   * @param {string} options.type - 'HALO', 'AURA', 'DAWN' or 'LUNA'.
+   * @param {number} [options.connectors=1] - The number of connectors.
+   * @param {string} [options.name] - The name of the charger.
+   * @param {string} [options.owner] - The email of the account, defaults to the first account.
+   * @returns {Object} The chargepoint state.
+   *******************************************************************************************/
+  addChargepoint({ id, type, connectors = 1, name = `${type} ${id}`, owner = this.account.email }) {
+    const chargepoint = {
+      owner,
+      info: {
+        id,
+        name,
+        type,
+        firmwareVersion: '1.2.3',
+        ocppVersion: null,
+        connectors: [],
+      },
+      settings: { id, dimmer: 'Low', downLight: false },
+      connectors: new Map(),
+      access: null,
+      sessions: [],
+    };
+    this.chargepoints.set(id, chargepoint);
+
+    for (let connectorId = 1; connectorId <= connectors; connectorId++) {
+      chargepoint.info.connectors.push({ chargePointId: id, connectorId, type: connectorId === 2 && type === 'HALO' ? 'SchukoSweden' : 'Type2' });
+      chargepoint.connectors.set(connectorId, {
+        connectorId,
+        settings: {
+          chargePointId: id,
+          connectorId,
+          mode: 'On',
+          rfidLock: false,
+          cableLock: false,
+          maxCurrent: 16,
+        },
+        status: {
+          chargePointId: id,
+          connectorId,
+          totalConsumptionKwh: 0,
+          status: 'Available',
+          measurements: null,
+        },
+      });
+      this.addSession(id, connectorId, 5);
+    }
+
+    return chargepoint;
+  }
+
+  /********************************************************************************************
+   * Adds a finished charging session.
+   *
+   * @param {string} id - The chargepoint ID.
+   * @param {number} connectorId - The connector number.
+   * @param {number} totalConsumptionKwh - The energy charged in the session.
+   *******************************************************************************************/
+  addSession(id, connectorId, totalConsumptionKwh) {
+    this.sessionCounter += 1;
+    const end = new Date(Date.UTC(2024, 0, 1, 0, this.sessionCounter));
+    this.chargepoints.get(id).sessions.unshift({
+      id: this.sessionCounter,
+      chargePointId: id,
+      connectorId,
+      sessionType: 'Private',
+      totalConsumptionKwh,
+      startTime: new Date(end.getTime() - 60 * 60 * 1000).toISOString(),
+      endTime: end.toISOString(),
+    });
+  }
+
+  listSessions(chargepoint, connectorId, query) {
+    const maxCount = Number(query.get('maxCount')) || 10;
+    return chargepoint.sessions
+      .filter((session) => connectorId === null || session.connectorId === connectorId)
+      .slice(0, maxCount);
+  }
+
+  /********************************************************************************************
+   * Limits the connectors of a charger the account can read and control, like an AURA shared
+   * with a neighbour. The others are left out of the status and answer 403.
+   *
+   * @param {string} id - The chargepoint ID.
+   * @param {Array<number>|null} connectorIds - The accessible connectors, null for all.
+   *******************************************************************************************/
+  restrictAccess(id, connectorIds) {
+    this.chargepoints.get(id).access = connectorIds;
+  }
+
+  readableConnectors(chargepoint) {
+    return [...chargepoint.connectors.values()]
+      .filter((connector) => chargepoint.access === null || chargepoint.access.includes(connector.connectorId));
+  }
+
+  /********************************************************************************************
+   * Returns the state of a connector.
+   *******************************************************************************************/
+  connector(id, connectorId = 1) {
+    return this.chargepoints.get(id).connectors.get(connectorId);
+  }
+
+  /** The car is plugged in, but not charging. */
+  plugIn(id, connectorId = 1) {
+    Object.assign(this.connector(id, connectorId).status, { status: 'Connected', totalConsumptionKwh: 0, measurements: null });
+  }
+
+  /** The car is charging with the given current on the given phases, all three by default. */
+  startCharging(id, connectorId = 1, { current = 16, voltage = 230, totalConsumptionKwh = 1.5, phases = ['L1', 'L2', 'L3'] } = {}) {
+    Object.assign(this.connector(id, connectorId).status, {
+      status: 'Charging',
+      totalConsumptionKwh,
+      measurements: phases.map((phase) => ({ phase, current, voltage })),
+    });
+  }
+
+  /** The car is full: the session ends and the connector goes back to Connected. */
+  finishCharging(id, connectorId = 1) {
+    const { status } = this.connector(id, connectorId);
+    this.addSession(id, connectorId, status.totalConsumptionKwh);
+    Object.assign(status, { status: 'Connected', totalConsumptionKwh: 0, measurements: null });
+  }
+
+  /** The car is unplugged. */
+  unplug(id, connectorId = 1) {
+    Object.assign(this.connector(id, connectorId).status, { status: 'Available', totalConsumptionKwh: 0, measurements: null });
+  }
+
+  /********************************************************************************************
+   * Invalidates all issued access tokens, like an expired session. Refresh tokens keep
+   * working unless `refreshTokens` is true.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.refreshTokens=false] - Also invalidate the refresh tokens.
+   * @param {number} [options.status=401] - The answer to a request with an invalid token; 403
+   *   answers without a body, like a port the account may not use.
+   *******************************************************************************************/
+  expireTokens({ refreshTokens = false, status = 401 } = {}) {
+    this.rejectedTokenStatus = status;
+    this.tokens.clear();
+    if (refreshTokens) {
+      this.refreshTokens.clear();
+    }
+  }
+
+  /********************************************************************************************
+   * Makes the next `count` requests whose path contains `pathPart` fail.
+   *
+   * @param {number} count - The number of requests that fail.
+   * @param {Object} [options]
+   * @param {number} [options.status=500] - The HTTP status to answer with.
+   * @param {string} [options.pathPart=''] - Only fail requests whose path contains this.
+   *******************************************************************************************/
+  failNext(count, { status = 500, pathPart = '' } = {}) {
+    for (let i = 0; i < count; i++) {
+      this.failures.push({ status, pathPart });
+    }
+  }
+
+  takeFailure(method, path) {
+    const index = this.failures.findIndex((failure) => path.includes(failure.pathPart));
+    return index === -1 ? null : this.failures.splice(index, 1)[0];
+  }
+
+  /********************************************************************************************
+   * Returns the requests received for a method and path.
+   *******************************************************************************************/
+  requestsFor(method, path) {
+    return this.requests.filter((request) => request.method === method && request.path === path);
+  }
+
+}
+
+module.exports = ChargeAmpsMockServer;
+
+if (require.main === module) {
+  const server = new ChargeAmpsMockServer();
+  server.addChargepoint({ id: 'HALO-1', type: 'HALO', connectors: 2 });
+  server.addChargepoint({ id: 'AURA-1', type: 'AURA', connectors: 2 });
+  server.addChargepoint({ id: 'DAWN-1', type: 'DAWN' });
+  server.addChargepoint({ id: 'LUNA-1', type: 'LUNA' });
+  server.start(Number(process.argv[2]) || 8080).then((baseUrl) => {
+    console.log(`ChargeAmps mock API listening on ${baseUrl}`);
+    console.log(`Log in with ${server.account.email} / ${server.account.password} and API key ${server.account.apiKey}`);
+  });
+}
@@ -0,0 +1,370 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+/********************************************************************************************
+ * A minimal stand-in for the Homey Apps SDK v3 (`require('homey')`), covering what the app,
+ * drivers and devices use. It keeps everything in memory so tests can inspect capability
+ * values, settings, availability, flow triggers and timers.
+ *
+ * Timers: delays of up to SHORT_DELAY ms (like the 2 second pause after a remote stop) run
+ * right away, longer ones (the polling loops) are only recorded in `homey.timers`, so a test
+ * decides itself when a poll runs.
+ *******************************************************************************************/
+
+const SHORT_DELAY = 2000;
+
+/********************************************************************************************
+ * In-memory replacement for `homey.settings`, emitting 'set' and 'unset' like Homey does.
+ *******************************************************************************************/
+class ManagerSettings extends EventEmitter {
+  constructor(values = {}) {
+    super();
+    this.values = { ...values };
+  }
+
+  get(key) {
+    return this.values[key] === undefined ? null : this.values[key];
+  }
+
+  set(key, value) {
+    this.values[key] = value;
+    this.emit('set', key);
+  }
+
+  unset(key) {
+    delete this.values[key];
+    this.emit('unset', key);
+  }
+
+  getKeys() {
+    return Object.keys(this.values);
+  }
+}
+
+/********************************************************************************************
+ * A flow card that records its run listener and every trigger.
+ *******************************************************************************************/
+class FlowCard {
+  constructor(id, triggers) {
+    this.id = id;
+    this.triggers = triggers;
+    this.runListener = null;
+  }
+
+  registerRunListener(listener) {
+    this.runListener = listener;
+    return this;
+  }
+
+  registerArgumentAutocompleteListener() {
+    return this;
+  }
+
+  async trigger(device, tokens = {}, state = {}) {
+    this.triggers.push({ id: this.id, device, tokens, state });
+  }
+}
+
+/********************************************************************************************
+ * In-memory replacement for `homey.flow`. All triggered cards end up in `triggers`.
+ *******************************************************************************************/
+class ManagerFlow {
+  constructor() {
+    this.cards = new Map();
+    this.triggers = [];
+  }
+
+  getCard(id) {
+    if (!this.cards.has(id)) {
+      this.cards.set(id, new FlowCard(id, this.triggers));
+    }
+    return this.cards.get(id);
+  }
+
+  getActionCard(id) {
+    return this.getCard(id);
+  }
+
+  getConditionCard(id) {
+    return this.getCard(id);
+  }
+
+  getDeviceTriggerCard(id) {
+    return this.getCard(id);
+  }
+
+  getTriggerCard(id) {
+    return this.getCard(id);
+  }
+
+  /**
+   * Returns the ids of the cards triggered for a device, in order.
+   */
+  triggeredFor(device) {
+    return this.triggers.filter((trigger) => trigger.device === device).map((trigger) => trigger.id);
+  }
+}
+
+/********************************************************************************************
+ * Creates the `homey` object handed to the app, drivers and devices.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - The initial app settings.
+ * @returns {Object}
+ *******************************************************************************************/
+function createHomey({ settings = {} } = {}) {
+  const timers = new Set();
+
+  const homey = {
+    app: null,
+    settings: new ManagerSettings(settings),
+    flow: new ManagerFlow(),
+    timers,
+    drivers: {
+      drivers: {},
+      getDriver(id) {
+        return this.drivers[id];
+      },
+      getDrivers() {
+        return this.drivers;
+      },
+    },
+    setTimeout(callback, delay, ...args) {
+      const timer = { callback, delay, args, handle: null };
+      if (delay <= SHORT_DELAY) {
+        timer.handle = setTimeout(() => {
+          timers.delete(timer);
+          callback(...args);
+        }, 0);
+      }
+      timers.add(timer);
+      return timer;
+    },
+    clearTimeout(timer) {
+      if (timer) {
+        clearTimeout(timer.handle);
+        timers.delete(timer);
+      }
+    },
+    setInterval(callback, delay) {
+      return homey.setTimeout(callback, delay);
+    },
+    clearInterval(timer) {
+      homey.clearTimeout(timer);
+    },
+    __(key) {
+      return typeof key === 'string' ? key : key.en;
+    },
+  };
+
+  return homey;
+}
+
+/********************************************************************************************
+ * Base class shared by App, Driver and Device.
+ *******************************************************************************************/
+class SimpleClass extends EventEmitter {
+  constructor({ homey } = {}) {
+    super();
+    this.homey = homey;
+    this.logs = [];
+    this.log = (...args) => this.logs.push(args);
+    this.error = (...args) => this.logs.push(['[error]', ...args]);
+  }
+}
+
+class App extends SimpleClass {
+  async onInit() {}
+
+  async onUninit() {}
+}
+
+/********************************************************************************************
+ * A pairing session. `emit` runs a handler like a pairing view does, `showView` records the
+ * views the driver moves to.
+ *******************************************************************************************/
+class PairSession {
+  constructor() {
+    this.handlers = new Map();
+    this.views = [];
+  }
+
+  setHandler(event, handler) {
+    this.handlers.set(event, handler);
+    return this;
+  }
+
+  async showView(viewId) {
+    this.views.push(viewId);
+  }
+
+  async emit(event, data) {
+    const handler = this.handlers.get(event);
+    if (!handler) {
+      throw new Error(`No pairing handler for ${event}`);
+    }
+    return handler(data);
+  }
+}
+
+class Driver extends SimpleClass {
+  constructor({ homey, id } = {}) {
+    super({ homey });
+    this.id = id;
+    this.devices = [];
+  }
+
+  async onInit() {}
+
+  getDevices() {
+    return this.devices;
+  }
+}
+
+/********************************************************************************************
+ * A device with its capabilities, settings, store and availability kept in memory.
+ *******************************************************************************************/
+class Device extends SimpleClass {
+
+  /**
+   * @param {Object} options
+   * @param {Object} options.homey - The object returned by createHomey().
+   * @param {Driver} [options.driver] - The driver of the device.
+   * @param {Object} options.data - The data given during pairing, e.g. `{ id }`.
+   * @param {Object} [options.settings] - The device settings.
+   * @param {Array<string>} [options.capabilities] - The capabilities the device starts with.
+   * @param {Object} [options.store] - The device store.
+   */
+  constructor({ homey, driver = null, data, settings = {}, capabilities = [], store = {}, name = 'Test charger' }) {
+    super({ homey });
+    this.driver = driver;
+    this.data = data;
+    this.name = name;
+    this.settings = { ...settings };
+    this.store = { ...store };
+    this.capabilities = new Map(capabilities.map((capability) => [capability, null]));
+    this.capabilityListeners = new Map();
+    this.capabilityOptions = new Map();
+    this.available = true;
+    this.unavailableMessage = null;
+  }
+
+  getData() {
+    return this.data;
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  getDriver() {
+    return this.driver;
+  }
+
+  getSetting(key) {
+    return this.settings[key] === undefined ? null : this.settings[key];
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  async setSettings(settings) {
+    Object.assign(this.settings, settings);
+  }
+
+  getStoreValue(key) {
+    return this.store[key] === undefined ? null : this.store[key];
+  }
+
+  async setStoreValue(key, value) {
+    this.store[key] = value;
+  }
+
+  async unsetStoreValue(key) {
+    delete this.store[key];
+  }
+
+  getCapabilities() {
+    return [...this.capabilities.keys()];
+  }
+
+  hasCapability(capability) {
+    return this.capabilities.has(capability);
+  }
+
+  async addCapability(capability) {
+    if (!this.capabilities.has(capability)) {
+      this.capabilities.set(capability, null);
+    }
+  }
+
+  async removeCapability(capability) {
+    this.capabilities.delete(capability);
+  }
+
+  getCapabilityValue(capability) {
+    return this.capabilities.has(capability) ? this.capabilities.get(capability) : null;
+  }
+
+  async setCapabilityValue(capability, value) {
+    if (!this.capabilities.has(capability)) {
+      throw new Error(`Invalid Capability: ${capability}`);
+    }
+    this.capabilities.set(capability, value);
+  }
+
+  async setCapabilityOptions(capability, options) {
+    this.capabilityOptions.set(capability, options);
+  }
+
+  getCapabilityOptions(capability) {
+    return this.capabilityOptions.get(capability) || {};
+  }
+
+  registerCapabilityListener(capability, listener) {
+    this.capabilityListeners.set(capability, listener);
+  }
+
+  /**
+   * Runs the capability listener like Homey does when the user changes the value.
+   */
+  async triggerCapabilityListener(capability, value) {
+    const listener = this.capabilityListeners.get(capability);
+    if (!listener) {
+      throw new Error(`No capability listener for ${capability}`);
+    }
+    await listener(value, {});
+    this.capabilities.set(capability, value);
+  }
+
+  getAvailable() {
+    return this.available;
+  }
+
+  async setAvailable() {
+    this.available = true;
+    this.unavailableMessage = null;
+  }
+
+  async setUnavailable(message = null) {
+    this.available = false;
+    this.unavailableMessage = message;
+  }
+
+  async onInit() {}
+
+  async onUninit() {}
+
+  async onDeleted() {}
+}
+
+module.exports = {
+  App,
+  Driver,
+  Device,
+  PairSession,
+  env: {},
+  createHomey,
+};
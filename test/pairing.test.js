@@ -0,0 +1,140 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { Homey, startServer, createApp, createDevice } = require('./helpers');
+
+describe('pairing', () => {
+  let server;
+  let homey;
+  let app;
+  let session;
+
+  const startPairing = async () => {
+    const DAWNDriver = require('../drivers/dawn/driver');
+    const driver = new DAWNDriver({ homey, id: 'dawn' });
+    session = new Homey.PairSession();
+    await driver.onPair(session);
+  };
+
+  beforeEach(async () => {
+    server = await startServer();
+    ({ homey, app } = await createApp(server, { email: null, password: null, APIkey: null }));
+    await startPairing();
+  });
+
+  afterEach(async () => {
+    await app.onUninit();
+    await server.stop();
+  });
+
+  it('asks for the API key', async () => {
+    await assert.rejects(session.emit('api_key', ' '), /enter the API key/);
+  });
+
+  it('rejects wrong credentials with a clear error and keeps the settings', async () => {
+    await session.emit('api_key', server.account.apiKey);
+
+    await assert.rejects(session.emit('login', { username: server.account.email, password: 'wrong' }), /rejected the email, password or API key/);
+    assert.strictEqual(homey.settings.get('password'), null);
+    assert.strictEqual(app.api.isLoggedIn(), false);
+  });
+
+  it('saves the account and lists the chargers after logging in', async () => {
+    await session.emit('api_key', server.account.apiKey);
+    assert.strictEqual(await session.emit('login', { username: server.account.email, password: server.account.password }), true);
+
+    assert.strictEqual(homey.settings.get('email'), server.account.email);
+    assert.strictEqual(homey.settings.get('password'), null);
+    assert.strictEqual(homey.settings.get('APIkey'), server.account.apiKey);
+    assert.ok(app.getSession('default').refreshToken);
+
+    const devices = await session.emit('list_devices');
+    assert.deepStrictEqual(devices.map((device) => device.data.id), ['DAWN-1']);
+  });
+
+  it('goes to the login steps when the app has no account', async () => {
+    await session.emit('showView', 'select_account');
+
+    assert.deepStrictEqual(session.views, ['api_key']);
+  });
+
+  it('lists the chargers of a chosen account', async () => {
+    const accountId = await app.loginAccount({ ...server.account });
+
+    await session.emit('showView', 'select_account');
+    assert.deepStrictEqual(session.views, []);
+    assert.deepStrictEqual(await session.emit('list_accounts'), [{ id: accountId, email: server.account.email }]);
+
+    await session.emit('select_account', accountId);
+    const devices = await session.emit('list_devices');
+    assert.deepStrictEqual(devices.map((device) => [device.data.id, device.store.accountId]), [['DAWN-1', accountId]]);
+  });
+
+  it('shows why the chargers cannot be listed', async () => {
+    await assert.rejects(session.emit('list_devices'), /API key is missing/);
+  });
+});
+
+describe('repair', () => {
+  let server;
+  let homey;
+  let app;
+  let driver;
+  let device;
+  let session;
+
+  beforeEach(async () => {
+    server = await startServer();
+    server.addChargepoint({ id: 'DAWN-2', type: 'DAWN' });
+    ({ homey, app } = await createApp(server));
+
+    const DAWNDriver = require('../drivers/dawn/driver');
+    driver = new DAWNDriver({ homey, id: 'dawn' });
+    device = await createDevice(homey, 'dawn', 'DAWN-1');
+    driver.devices.push(device);
+
+    session = new Homey.PairSession();
+    await driver.onRepair(session, device);
+    await session.emit('api_key', server.account.apiKey);
+    await session.emit('login', { username: server.account.email, password: server.account.password });
+  });
+
+  afterEach(async () => {
+    await device.onUninit();
+    await app.onUninit();
+    await server.stop();
+  });
+
+  it('asks for the credentials again', async () => {
+    await session.emit('showView', 'api_key');
+
+    assert.deepStrictEqual(session.views, []);
+  });
+
+  it('binds the device to another chargepoint and keeps its capabilities', async () => {
+    const capabilities = device.getCapabilities();
+
+    const chargepoints = await session.emit('list_chargepoints');
+    assert.deepStrictEqual(chargepoints.map(({ id, current }) => [id, current]), [['DAWN-1', true], ['DAWN-2', false]]);
+
+    server.plugIn('DAWN-2');
+    await session.emit('select_chargepoint', 'DAWN-2');
+
+    assert.strictEqual(device.chargeAmpsId, 'DAWN-2');
+    assert.strictEqual(device.getStoreValue('chargePointId'), 'DAWN-2');
+    assert.deepStrictEqual(device.getCapabilities(), capabilities);
+    assert.strictEqual(device.getCapabilityValue('dawnCarConnected'), 'Connected');
+  });
+
+  it('refuses a chargepoint another device controls', async () => {
+    const other = await createDevice(homey, 'dawn', 'DAWN-2');
+    driver.devices.push(other);
+
+    await session.emit('list_chargepoints');
+    await assert.rejects(session.emit('select_chargepoint', 'DAWN-2'), /already controlled by another device/);
+    assert.strictEqual(device.chargeAmpsId, 'DAWN-1');
+    await other.onUninit();
+  });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { runRefreshPlan } = require('../lib/refresh');
+
+const logMessage = () => {};
+
+describe('runRefreshPlan', () => {
+  it('runs the steps of a stage in parallel and the stages in order', async () => {
+    const events = [];
+    const step = (name, delay) => ({
+      name,
+      run: async () => {
+        events.push(`${name} start`);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        events.push(`${name} end`);
+      },
+    });
+
+    await runRefreshPlan([[step('a', 20), step('b', 5)], [step('c', 0)]], { label: 'Test', logMessage });
+
+    assert.deepStrictEqual(events, ['a start', 'b start', 'b end', 'a end', 'c start', 'c end']);
+  });
+
+  it('lists the steps of a function stage when it starts', async () => {
+    let connectors = ['1', '2'];
+    const plan = [
+      [{ name: 'detect', run: async () => { connectors = ['1']; } }],
+      () => connectors.map((connector) => ({ name: `settings ${connector}`, run: async () => {} })),
+    ];
+
+    const results = await runRefreshPlan(plan, { label: 'Test', logMessage });
+
+    assert.deepStrictEqual(results.map(({ name }) => name), ['detect', 'settings 1']);
+  });
+
+  it('runs every step when one fails, and reports the timing and errors', async () => {
+    const lines = [];
+    const plan = [[
+      { name: 'broken', run: async () => { throw new Error('Not reachable'); } },
+      { name: 'working', run: async () => {} },
+    ]];
+
+    const results = await runRefreshPlan(plan, { label: 'Test', logMessage: (level, ...messages) => lines.push([level, ...messages].join(' ')) });
+
+    assert.strictEqual(results[0].error.message, 'Not reachable');
+    assert.strictEqual(results[1].error, null);
+    assert.ok(results.every(({ duration }) => duration >= 0));
+    assert.ok(lines.some((line) => /^normal Test finished in \d+ ms, 1 of 2 steps failed$/.test(line)));
+    assert.ok(lines.some((line) => line.startsWith('error Test: step "broken" failed:')));
+  });
+
+  it('fails after all steps ran when a required step failed', async () => {
+    let ran = false;
+    const plan = [
+      [{ name: 'chargepoint', run: async () => { throw new Error('Not reachable'); }, required: true }],
+      [{ name: 'lights', run: async () => { ran = true; } }],
+    ];
+
+    await assert.rejects(runRefreshPlan(plan, { label: 'Test', logMessage }), /Not reachable/);
+    assert.strictEqual(ran, true);
+  });
+});